@@ -0,0 +1,114 @@
+/**
+ * acl.js
+ * ------
+ * Per-document access control. A document names the groups allowed to read
+ * it; every chunk carries them as meta.groups, and retrieval drops chunks
+ * the caller can't see BEFORE scoring (see vectorStore.js), so they never
+ * compete for topK, reach reranking / pickDiverse or the context block.
+ *
+ * Where a document's groups come from (first match wins):
+ * 1. front matter:         groups: [hr, finance]
+ * 2. sidecar for the file: <file>.acl.json    -> { "groups": ["hr"] }
+ * 3. directory sidecar:    .acl.json in the file's directory or the nearest
+ *                          parent up to dataDir (data/hr/.acl.json covers
+ *                          every PDF and docx under data/hr)
+ * No groups anywhere -> public.
+ *
+ * Principal (the caller): { id?, groups: ["hr", ...] }. A restricted chunk
+ * is visible when the principal has at least one of its groups; public
+ * chunks are visible to everyone. The pipeline treats a missing principal
+ * as ANONYMOUS (public documents only).
+ */
+
+import path from "node:path";
+
+import { loadJSON } from "./lib.js";
+
+export const ACL_SIDECAR = ".acl.json";
+
+export const ANONYMOUS = Object.freeze({ id: null, groups: [] });
+
+// "hr, Finance" | ["hr", "Finance"] -> ["finance", "hr"]
+export function normalizeGroups(value) {
+  const list = (Array.isArray(value) ? value : [value ?? ""])
+    .flatMap((g) => String(g).split(","))
+    .map((g) => g.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(list)].sort();
+}
+
+export function normalizePrincipal(principal) {
+  if (!principal) return ANONYMOUS;
+  return {
+    id: principal.id ?? null,
+    groups: normalizeGroups(principal.groups),
+  };
+}
+
+async function readSidecar(file) {
+  try {
+    const data = await loadJSON(file);
+    return normalizeGroups(data.groups);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Invalid ACL sidecar ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * readAclGroups(file, { dataDir, docMeta })
+ * The document's allowed groups (sorted, lowercase); [] means public.
+ */
+export async function readAclGroups(file, { dataDir = "data", docMeta = {} }) {
+  if (docMeta.groups != null) return normalizeGroups(docMeta.groups);
+
+  const own = await readSidecar(`${file}${ACL_SIDECAR}`);
+  if (own) return own;
+
+  const root = path.resolve(dataDir);
+  let dir = path.resolve(path.dirname(file));
+  while (dir === root || dir.startsWith(root + path.sep)) {
+    const groups = await readSidecar(path.join(dir, ACL_SIDECAR));
+    if (groups) return groups;
+    dir = path.dirname(dir);
+  }
+  return [];
+}
+
+export function isRestricted(item) {
+  return item.meta?.groups?.length > 0;
+}
+
+export function canAccess(item, principal = ANONYMOUS) {
+  if (!isRestricted(item)) return true;
+  return item.meta.groups.some((g) => principal.groups.includes(g));
+}
+
+/**
+ * What a principal can see, as a cache-key part: principals with the same
+ * groups retrieve the same chunks, so they may share cached answers;
+ * anyone else may not.
+ */
+export function accessScope(principal = ANONYMOUS) {
+  return principal.groups.join(",");
+}
+
+// True for ACL sidecars (watch mode re-reads every file when one changes)
+export function isAclSidecar(file) {
+  return path.basename(file).endsWith(ACL_SIDECAR);
+}
+
+/* ----------------------------- CLI ----------------------------- */
+
+// parseArgs() options + help text shared by the CLIs (ask, chat)
+export const PRINCIPAL_CLI_OPTIONS = {
+  group: { type: "string", multiple: true },
+};
+
+export const PRINCIPAL_CLI_USAGE = `Access (documents restricted by groups front matter or .acl.json):
+  --group <group>   ask as a member of this group (repeat for several);
+                    without it only public documents are searched`;
+
+export function principalFromCli(values) {
+  return normalizePrincipal({ groups: values.group });
+}
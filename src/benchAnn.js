@@ -0,0 +1,162 @@
+/**
+ * benchAnn.js
+ * -----------
+ * Compares HNSW against exact search: recall@k and per-query latency for
+ * a sweep of efSearch values. Use it to pick RAG_HNSW_* settings.
+ *
+ * Usage:
+ *   npm run bench:ann                                  # synthetic clustered vectors
+ *   npm run bench:ann -- --n 20000 --dim 256 --ef 16,32,64,128
+ *   npm run bench:ann -- --index index/store.json      # your real vectors
+ *
+ * Options: --n --dim --clusters --queries --k --M --efc --ef --seed --index
+ */
+
+import { parseArgs } from "node:util";
+import { LocalVectorStore } from "./vectorStore.js";
+import { HNSWIndex, mulberry32 } from "./hnsw.js";
+
+const { values: opts } = parseArgs({
+  options: {
+    index: { type: "string" },
+    n: { type: "string", default: "5000" },
+    dim: { type: "string", default: "128" },
+    clusters: { type: "string", default: "50" },
+    queries: { type: "string", default: "200" },
+    k: { type: "string", default: "10" },
+    M: { type: "string", default: "16" },
+    efc: { type: "string", default: "200" },
+    ef: { type: "string", default: "16,32,64,128,256" },
+    seed: { type: "string", default: "7" },
+  },
+});
+
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function normalizeInPlace(v) {
+  let n = 0;
+  for (const x of v) n += x * x;
+  n = Math.sqrt(n) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= n;
+  return v;
+}
+
+// Clustered unit vectors look more like real embeddings than uniform noise
+function syntheticMatrix({ n, dim, clusters, random }) {
+  const centers = Array.from({ length: clusters }, () =>
+    normalizeInPlace(Float32Array.from({ length: dim }, () => gaussian(random)))
+  );
+  const matrix = new Float32Array(n * dim);
+  for (let i = 0; i < n; i++) {
+    const c = centers[Math.floor(random() * clusters)];
+    const row = matrix.subarray(i * dim, (i + 1) * dim);
+    for (let j = 0; j < dim; j++) row[j] = c[j] + 0.35 * gaussian(random);
+    normalizeInPlace(row);
+  }
+  return matrix;
+}
+
+// Queries = stored rows + noise, so they have real neighbourhoods
+function makeQueries(matrix, dim, count, random) {
+  const n = matrix.length / dim;
+  return Array.from({ length: count }, () => {
+    const i = Math.floor(random() * n);
+    const q = Float32Array.from(matrix.subarray(i * dim, (i + 1) * dim));
+    for (let j = 0; j < dim; j++)
+      q[j] += (0.1 * gaussian(random)) / Math.sqrt(dim);
+    return normalizeInPlace(q);
+  });
+}
+
+// Exact baseline goes through the store's own scan path
+function exactSearcher(matrix, dim) {
+  const n = matrix.length / dim;
+  const items = Array.from({ length: n }, (_, i) => ({
+    id: String(i),
+    embeddingUnit: matrix.subarray(i * dim, (i + 1) * dim),
+  }));
+  const store = new LocalVectorStore(items);
+  return (q, k) =>
+    store.search(q, { topK: k, exact: true }).map((h) => Number(h.item.id));
+}
+
+async function main() {
+  const random = mulberry32(Number(opts.seed));
+  const k = Number(opts.k);
+
+  let matrix;
+  let dim;
+  if (opts.index) {
+    const store = await LocalVectorStore.load(opts.index);
+    ({ matrix, dim } = store.packed());
+    console.log(`Loaded ${opts.index}`, { chunks: store.items.length, dim });
+  } else {
+    dim = Number(opts.dim);
+    matrix = syntheticMatrix({
+      n: Number(opts.n),
+      dim,
+      clusters: Number(opts.clusters),
+      random,
+    });
+    console.log("Synthetic corpus", { n: Number(opts.n), dim });
+  }
+
+  const queries = makeQueries(matrix, dim, Number(opts.queries), random);
+
+  const exact = exactSearcher(matrix, dim);
+  let t0 = performance.now();
+  const truth = queries.map((q) => exact(q, k));
+  const exactMs = (performance.now() - t0) / queries.length;
+
+  t0 = performance.now();
+  const ann = HNSWIndex.build(matrix, dim, {
+    M: Number(opts.M),
+    efConstruction: Number(opts.efc),
+  });
+  const buildMs = performance.now() - t0;
+  console.log(`HNSW build: ${buildMs.toFixed(0)}ms`, {
+    M: ann.M,
+    efConstruction: ann.efConstruction,
+  });
+
+  const rows = [
+    {
+      method: "exact",
+      ef: "-",
+      [`recall@${k}`]: "1.000",
+      msPerQuery: exactMs.toFixed(3),
+      speedup: "1.0x",
+    },
+  ];
+
+  for (const ef of opts.ef.split(",").map(Number)) {
+    let hits = 0;
+    t0 = performance.now();
+    const results = queries.map((q) => ann.search(q, { topK: k, ef }));
+    const ms = (performance.now() - t0) / queries.length;
+
+    results.forEach((res, i) => {
+      const expected = new Set(truth[i]);
+      hits += res.filter((r) => expected.has(r.index)).length;
+    });
+
+    rows.push({
+      method: "hnsw",
+      ef,
+      [`recall@${k}`]: (hits / (queries.length * k)).toFixed(3),
+      msPerQuery: ms.toFixed(3),
+      speedup: `${(exactMs / ms).toFixed(1)}x`,
+    });
+  }
+
+  console.table(rows);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+/**
+ * bm25.js
+ * -------
+ * Small in-memory BM25 inverted index over chunk content.
+ * Complements cosine search: exact identifiers, error codes and acronyms
+ * ("ERR_BILL_42", "SLO", "v2.3") score high here even when embeddings blur them.
+ *
+ * Serialized shape (stored next to the vectors in the index file):
+ * { k1, b, ids: [chunkId...], lengths: [tokens per doc], postings: { term: [docIdx, tf, docIdx, tf, ...] } }
+ */
+
+import { tokenize } from "./lib.js";
+
+export class BM25Index {
+  constructor({
+    k1 = 1.2,
+    b = 0.75,
+    ids = [],
+    lengths = [],
+    postings = {},
+  } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.ids = ids;
+    this.lengths = lengths;
+    // Null-prototype so terms like "constructor" can't hit Object.prototype
+    this.postings = Object.assign(Object.create(null), postings);
+    this.avgLength =
+      lengths.reduce((s, n) => s + n, 0) / Math.max(1, lengths.length);
+  }
+
+  // docs: [{ id, content }]
+  static build(docs, opts = {}) {
+    const ids = [];
+    const lengths = [];
+    const postings = Object.create(null);
+
+    docs.forEach((doc, docIdx) => {
+      const tokens = tokenize(doc.content);
+      ids.push(doc.id);
+      lengths.push(tokens.length);
+
+      const tf = new Map();
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+      for (const [term, count] of tf) {
+        (postings[term] ||= []).push(docIdx, count);
+      }
+    });
+
+    return new BM25Index({ ...opts, ids, lengths, postings });
+  }
+
+  static fromJSON(data) {
+    return new BM25Index(data);
+  }
+
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      ids: this.ids,
+      lengths: this.lengths,
+      postings: this.postings,
+    };
+  }
+
+  idf(term) {
+    const list = this.postings[term];
+    const df = list ? list.length / 2 : 0;
+    const n = this.ids.length;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  // Returns [{ id, score }] sorted by score desc (only docs sharing a term).
+  // `accept(id)` optionally restricts which docs may score at all.
+  search(queryText, { topK = 8, accept = null } = {}) {
+    const scores = new Map(); // docIdx -> score
+    const terms = new Set(tokenize(queryText));
+
+    for (const term of terms) {
+      const list = this.postings[term];
+      if (!list) continue;
+      const idf = this.idf(term);
+
+      for (let i = 0; i < list.length; i += 2) {
+        const docIdx = list[i];
+        if (accept && !accept(this.ids[docIdx])) continue;
+        const tf = list[i + 1];
+        const norm =
+          1 - this.b + (this.b * this.lengths[docIdx]) / (this.avgLength || 1);
+        const s = (idf * tf * (this.k1 + 1)) / (tf + this.k1 * norm);
+        scores.set(docIdx, (scores.get(docIdx) || 0) + s);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([docIdx, score]) => ({ id: this.ids[docIdx], score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+/**
+ * Fuse several ranked hit lists ([{ item, score }], best first) into one.
+ * - "rrf":      sum of weight / (rrfK + rank)  (rank-based, scale-free)
+ * - "weighted": per-list min-max normalized score, max within each kind,
+ *               then weighted sum across kinds
+ *
+ * lists: [{ kind: "dense" | "lexical", weight, hits }]
+ * Output scores are scaled to 0..1 so downstream MMR thresholds keep working.
+ */
+export function fuseRankings(lists, { method = "rrf", rrfK = 60 } = {}) {
+  const fused = new Map(); // id -> { item, score, denseScore, lexicalScore }
+
+  const entry = (item) => {
+    let e = fused.get(item.id);
+    if (!e) {
+      e = { item, score: 0, denseScore: null, lexicalScore: null };
+      fused.set(item.id, e);
+    }
+    return e;
+  };
+
+  // Keep raw per-kind scores around for debugging
+  for (const { kind, hits } of lists) {
+    for (const h of hits) {
+      const e = entry(h.item);
+      const key = kind === "lexical" ? "lexicalScore" : "denseScore";
+      if (e[key] === null || h.score > e[key]) e[key] = h.score;
+    }
+  }
+
+  if (method === "rrf") {
+    const maxPossible = lists.reduce((s, l) => s + l.weight / (rrfK + 1), 0);
+    for (const { weight, hits } of lists) {
+      hits.forEach((h, rank) => {
+        entry(h.item).score += weight / (rrfK + rank + 1);
+      });
+    }
+    for (const e of fused.values()) e.score /= maxPossible || 1;
+  } else if (method === "weighted") {
+    const perKind = new Map(); // kind -> { weight, best: Map(id -> norm) }
+    for (const { kind, weight, hits } of lists) {
+      if (!perKind.has(kind)) perKind.set(kind, { weight, best: new Map() });
+      const { best } = perKind.get(kind);
+      if (hits.length === 0) continue;
+
+      const max = hits[0].score;
+      const min = hits[hits.length - 1].score;
+      for (const h of hits) {
+        const norm = max === min ? 1 : (h.score - min) / (max - min);
+        if (norm > (best.get(h.item.id) ?? -1)) best.set(h.item.id, norm);
+      }
+    }
+
+    let totalWeight = 0;
+    for (const { weight, best } of perKind.values()) {
+      totalWeight += weight;
+      for (const [id, norm] of best) fused.get(id).score += weight * norm;
+    }
+    for (const e of fused.values()) e.score /= totalWeight || 1;
+  } else {
+    throw new Error(
+      `Unknown fusion method "${method}" (expected rrf|weighted)`
+    );
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,432 @@
+/**
+ * cache.js
+ * --------
+ * One cache subsystem for everything that costs an API call: query
+ * embeddings, augmentation (multi-query / HyDE / condense / rerank), answers
+ * and verification, and chunk embeddings during indexing.
+ *
+ * - Namespaces: one file per namespace, .cache/<namespace>.json
+ *   (RAG_CACHE_DIR moves the directory)
+ * - Keys: sha256 over the key parts (cacheKey("mq", model, question)),
+ *   so unrelated entries can't collide
+ * - Eviction: entries older than the namespace TTL are dropped; beyond
+ *   maxEntries / maxBytes the least recently used go first
+ * - Writes are atomic (temp file + rename) and merge with what is on disk,
+ *   so concurrent `ask` runs neither corrupt the file nor drop each other's
+ *   entries (on the same key, the most recently used wins)
+ * - Files are only rewritten when entries were added or removed; recency
+ *   from plain reads is kept in memory until the next write
+ *
+ * File shape: { format: "rag-cache", version: 1, namespace,
+ *               entries: { key: { v: value, c: createdMs, t: lastUsedMs } } }
+ * Anything else (e.g. the old flat cache files) is ignored and replaced.
+ *
+ * Namespaces marked `log` (chunk embeddings: large, one writer, saved at
+ * every indexing checkpoint) are an append-only .cache/<namespace>.jsonl
+ * instead, one { k, v, c, t } per line, later lines winning: a save appends
+ * only what was added since the last one. Once the file outgrows the limits
+ * it is compacted (streamed, least recently used evicted down to 80%).
+ *
+ * Cache.open(namespace, { readOnly: true }) is for inspection (cache
+ * stats): it never migrates, repairs or compacts a file, and save() throws.
+ */
+
+import fs from "node:fs/promises";
+import { createReadStream, createWriteStream } from "node:fs";
+import { once } from "node:events";
+import path from "node:path";
+import crypto from "node:crypto";
+import readline from "node:readline";
+
+import { writeFileAtomic } from "./lib.js";
+
+export const CACHE_DIR = process.env.RAG_CACHE_DIR || ".cache";
+
+const FORMAT = "rag-cache";
+const VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+// Per-namespace limits; ttlMs null = never expires (LRU only)
+export const NAMESPACES = {
+  // Query embeddings
+  embeddings: { maxEntries: 5000, maxBytes: 50 * MB, ttlMs: null },
+  // No TTL: offline eval runs depend on these (see eval.js)
+  augment: { maxEntries: 5000, maxBytes: 20 * MB, ttlMs: null },
+  answers: { maxEntries: 2000, maxBytes: 20 * MB, ttlMs: 30 * DAY_MS },
+  // Chunk embeddings written by the indexer (append-only log, see above)
+  "index-embeddings": {
+    maxEntries: 50000,
+    maxBytes: 400 * MB,
+    ttlMs: null,
+    log: true,
+  },
+};
+
+export function cacheKey(...parts) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(parts))
+    .digest("hex");
+}
+
+// Vectors are stored as base64 float32 (~4x smaller than JSON numbers)
+export function packVector(v) {
+  return Buffer.from(Float32Array.from(v).buffer).toString("base64");
+}
+
+export function unpackVector(s) {
+  const buf = Buffer.from(s, "base64");
+  return Array.from(
+    new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4)
+  );
+}
+
+function cacheFile(namespace, dir, ext = ".json") {
+  if (!/^[\w-]+$/.test(namespace)) {
+    throw new Error(`Invalid cache namespace "${namespace}"`);
+  }
+  return path.join(dir, `${namespace}${ext}`);
+}
+
+async function readEntries(file) {
+  try {
+    const data = JSON.parse(await fs.readFile(file, "utf-8"));
+    if (data?.format === FORMAT && data.version === VERSION) {
+      return new Map(Object.entries(data.entries || {}));
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT" && !(err instanceof SyntaxError)) throw err;
+  }
+  return new Map();
+}
+
+export class Cache {
+  constructor(
+    namespace,
+    { dir = CACHE_DIR, entries = new Map(), readOnly = false, ...limits } = {}
+  ) {
+    const defaults = NAMESPACES[namespace] || {};
+    this.namespace = namespace;
+    this.file = cacheFile(namespace, dir);
+    this.maxEntries = limits.maxEntries ?? defaults.maxEntries ?? 1000;
+    this.maxBytes = limits.maxBytes ?? defaults.maxBytes ?? 10 * MB;
+    this.ttlMs = limits.ttlMs !== undefined ? limits.ttlMs : defaults.ttlMs;
+    this.entries = entries;
+    this.readOnly = readOnly;
+    this.deleted = new Set();
+    this.cleared = false;
+    this.dirty = false;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static async open(namespace, opts = {}) {
+    if (NAMESPACES[namespace]?.log) return LogCache.open(namespace, opts);
+    const dir = opts.dir || CACHE_DIR;
+    const entries = await readEntries(cacheFile(namespace, dir));
+    return new Cache(namespace, { ...opts, dir, entries });
+  }
+
+  expired(entry, now = Date.now()) {
+    return this.ttlMs != null && now - entry.c > this.ttlMs;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this.expired(entry)) {
+      this.misses++;
+      return undefined;
+    }
+    entry.t = Date.now();
+    this.hits++;
+    return entry.v;
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this.expired(entry);
+  }
+
+  set(key, value) {
+    const now = Date.now();
+    this.entries.set(key, { v: value, c: now, t: now });
+    this.deleted.delete(key);
+    this.dirty = true;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    this.deleted.add(key);
+    this.dirty = true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.deleted.clear();
+    this.cleared = true;
+    this.dirty = true;
+  }
+
+  // Drops expired entries, then keeps the most recently used that fit in
+  // maxEntries and maxBytes (serialized size, approximately the file size)
+  evict(now = Date.now()) {
+    const newestFirst = [...this.entries]
+      .filter(([, entry]) => !this.expired(entry, now))
+      .sort((a, b) => b[1].t - a[1].t);
+
+    const kept = new Map();
+    let bytes = 0;
+    for (const [key, entry] of newestFirst) {
+      bytes += key.length + JSON.stringify(entry).length + 4;
+      if (kept.size >= this.maxEntries || bytes > this.maxBytes) break;
+      kept.set(key, entry);
+    }
+    this.entries = kept;
+  }
+
+  // Applies eviction on disk now instead of at the next write
+  async prune() {
+    this.dirty = true;
+    await this.save();
+  }
+
+  assertWritable() {
+    if (this.readOnly) {
+      throw new Error(`Cache "${this.namespace}" was opened read-only`);
+    }
+  }
+
+  async save() {
+    this.assertWritable();
+    if (!this.dirty) return;
+
+    // Take the pending changes up front: set() calls made while the write is
+    // in flight mark the cache dirty again instead of being lost
+    const { cleared, deleted } = this;
+    this.dirty = false;
+    this.cleared = false;
+    this.deleted = new Set();
+
+    try {
+      // Merge in entries written by other processes since we loaded
+      if (!cleared) {
+        for (const [key, entry] of await readEntries(this.file)) {
+          if (deleted.has(key) || this.deleted.has(key)) continue;
+          const mine = this.entries.get(key);
+          if (!mine || entry.t > mine.t) this.entries.set(key, entry);
+        }
+      }
+      this.evict();
+
+      const data = {
+        format: FORMAT,
+        version: VERSION,
+        namespace: this.namespace,
+        entries: Object.fromEntries(this.entries),
+      };
+      await writeFileAtomic(this.file, JSON.stringify(data));
+    } catch (err) {
+      this.dirty = true;
+      this.cleared ||= cleared;
+      for (const key of deleted) this.deleted.add(key);
+      throw err;
+    }
+  }
+
+  stats() {
+    let expired = 0;
+    let oldest = Infinity;
+    let newest = 0;
+    for (const entry of this.entries.values()) {
+      if (this.expired(entry)) expired++;
+      oldest = Math.min(oldest, entry.t);
+      newest = Math.max(newest, entry.t);
+    }
+    const iso = (t) =>
+      Number.isFinite(t) && t > 0 ? new Date(t).toISOString() : null;
+    return {
+      namespace: this.namespace,
+      entries: this.entries.size,
+      expired,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlDays: this.ttlMs != null ? this.ttlMs / DAY_MS : null,
+      lastUsedOldest: iso(oldest),
+      lastUsedNewest: iso(newest),
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+/**
+ * Append-only variant for `log` namespaces (see the top of this file).
+ * Single writer: two processes saving at once may drop each other's
+ * entries at the next compaction (they are re-embedded, not corrupted).
+ */
+class LogCache extends Cache {
+  constructor(namespace, { lines = 0, fileBytes = 0, ...opts } = {}) {
+    super(namespace, opts);
+    this.file = cacheFile(namespace, opts.dir || CACHE_DIR, ".jsonl");
+    this.lines = lines; // lines in the file, superseded ones included
+    this.fileBytes = fileBytes;
+    this.appended = new Set(); // keys set since the last save
+    this.rewrite = false; // compact at the next save instead of appending
+  }
+
+  static async open(namespace, opts = {}) {
+    const dir = opts.dir || CACHE_DIR;
+    const file = cacheFile(namespace, dir, ".jsonl");
+    const entries = new Map();
+    let lines = 0;
+    let fileBytes = 0;
+    let broken = false;
+    try {
+      const input = createReadStream(file, "utf-8");
+      for await (const line of readline.createInterface({
+        input,
+        crlfDelay: Infinity,
+      })) {
+        fileBytes += Buffer.byteLength(line) + 1;
+        if (!line) continue;
+        lines++;
+        try {
+          const { k, ...entry } = JSON.parse(line);
+          entries.set(k, entry);
+        } catch {
+          // A line cut short by a crash mid-append; the rest is intact
+          broken = true;
+        }
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+
+    const cache = new LogCache(namespace, {
+      ...opts,
+      dir,
+      entries,
+      lines,
+      fileBytes,
+    });
+    // Carry over a checkpoint written in the old single-JSON format
+    const legacy = cacheFile(namespace, dir);
+    if (lines === 0) {
+      for (const [k, entry] of await readEntries(legacy)) {
+        cache.entries.set(k, entry);
+        cache.dirty = true;
+      }
+    }
+    if (cache.readOnly) {
+      cache.dirty = false;
+      return cache;
+    }
+    // Rewrite now rather than append after a partial line
+    if (cache.dirty || broken) {
+      cache.rewrite = true;
+      cache.dirty = true;
+      await cache.save();
+    }
+    await fs.rm(legacy, { force: true });
+    return cache;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.appended.add(key);
+  }
+
+  clear() {
+    super.clear();
+    this.appended.clear();
+    this.rewrite = true;
+  }
+
+  async prune() {
+    this.rewrite = true;
+    await super.prune();
+  }
+
+  async save() {
+    this.assertWritable();
+    if (!this.dirty) return;
+    const compact =
+      this.rewrite ||
+      this.deleted.size > 0 ||
+      this.lines > this.maxEntries ||
+      this.fileBytes > this.maxBytes;
+
+    const appended = this.appended;
+    this.dirty = false;
+    this.rewrite = false;
+    this.cleared = false;
+    this.deleted = new Set();
+    this.appended = new Set();
+
+    const line = (key) => JSON.stringify({ k: key, ...this.entries.get(key) });
+    try {
+      if (compact) {
+        await this.compact(line);
+      } else {
+        const keys = [...appended].filter((key) => this.entries.has(key));
+        const text = keys.map((key) => line(key) + "\n").join("");
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, text, "utf-8");
+        this.lines += keys.length;
+        this.fileBytes += Buffer.byteLength(text);
+      }
+    } catch (err) {
+      this.dirty = true;
+      this.rewrite = true; // the file state is unknown; rewrite it next time
+      throw err;
+    }
+  }
+
+  // Rewrites the file with the entries that fit in 80% of the limits (so
+  // appends can go on for a while before the next compaction), streamed
+  // line by line
+  async compact(line) {
+    const limits = { maxEntries: this.maxEntries, maxBytes: this.maxBytes };
+    this.maxEntries = Math.floor(limits.maxEntries * 0.8);
+    this.maxBytes = Math.floor(limits.maxBytes * 0.8);
+    try {
+      this.evict();
+    } finally {
+      Object.assign(this, limits);
+    }
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.${Date.now()}.tmp`;
+    let bytes = 0;
+    try {
+      const out = createWriteStream(tmp, "utf-8");
+      for (const key of this.entries.keys()) {
+        const text = line(key) + "\n";
+        bytes += Buffer.byteLength(text);
+        if (!out.write(text)) await once(out, "drain");
+      }
+      out.end();
+      await once(out, "finish");
+      await fs.rename(tmp, this.file);
+    } catch (err) {
+      await fs.rm(tmp, { force: true });
+      throw err;
+    }
+    this.lines = this.entries.size;
+    this.fileBytes = bytes;
+  }
+}
+
+// Namespace files currently on disk
+export async function listNamespaces({ dir = CACHE_DIR } = {}) {
+  try {
+    const names = (await fs.readdir(dir))
+      .map((f) => f.match(/^([\w-]+)\.jsonl?$/)?.[1])
+      .filter(Boolean);
+    return [...new Set(names)];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
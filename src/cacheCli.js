@@ -0,0 +1,82 @@
+/**
+ * cacheCli.js
+ * -----------
+ * Inspect and invalidate the on-disk caches (see cache.js).
+ *
+ * Usage:
+ *   npm run cache -- stats
+ *   npm run cache -- clear [--namespace answers]
+ *   npm run cache -- prune        (drop expired / over-limit entries now)
+ */
+
+import fs from "node:fs/promises";
+import { Cache, CACHE_DIR, NAMESPACES, listNamespaces } from "./cache.js";
+
+const USAGE =
+  "Usage: npm run cache -- stats | clear [--namespace <name>] | prune";
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+// Known namespaces first, then anything else found in the cache directory
+async function namespaces() {
+  const onDisk = await listNamespaces();
+  return [...new Set([...Object.keys(NAMESPACES), ...onDisk])];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const nsIdx = args.indexOf("--namespace");
+  const only = nsIdx >= 0 ? args[nsIdx + 1] : null;
+  if (nsIdx >= 0 && !only) throw new Error(USAGE);
+
+  const known = await namespaces();
+  if (only && !known.includes(only)) {
+    throw new Error(
+      `Unknown cache namespace "${only}" (known: ${known.join(", ")})\n\n${USAGE}`
+    );
+  }
+  const targets = only ? [only] : known;
+
+  if (command === "stats") {
+    console.log(`📦 Cache directory: ${CACHE_DIR}`);
+    for (const ns of targets) {
+      // Read-only: looking must not migrate or compact a log namespace
+      const cache = await Cache.open(ns, { readOnly: true });
+      const { hits, misses, ...stats } = cache.stats();
+      console.log({ ...stats, fileBytes: await fileSize(cache.file) });
+    }
+    return;
+  }
+
+  if (command === "clear" || command === "prune") {
+    for (const ns of targets) {
+      const cache = await Cache.open(ns);
+      const before = cache.entries.size;
+      if (command === "clear") {
+        cache.clear();
+        await cache.save();
+      } else {
+        await cache.prune();
+      }
+      console.log(`✅ ${command === "clear" ? "Cleared" : "Pruned"} ${ns}`, {
+        removed: before - cache.entries.size,
+        entries: cache.entries.size,
+      });
+    }
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+main().catch((e) => {
+  console.error(e.message.endsWith(USAGE) ? e.message : e);
+  process.exit(1);
+});
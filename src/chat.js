@@ -0,0 +1,260 @@
+/**
+ * chat.js (CLI)
+ * -------------
+ * npm run chat -- [--session <id>] [--group g...] [filters]
+ * Interactive multi-turn mode. Each follow-up is rewritten into a standalone
+ * question (using the conversation so far) before the usual multi-query /
+ * HyDE / retrieval pipeline runs, and the trimmed history is passed to the
+ * answer prompt (see ask() in rag.js).
+ *
+ * Every turn is saved to .sessions/<id>.json; --session <id> resumes it
+ * (or starts a new session under that id).
+ */
+
+import readline from "node:readline";
+import { parseArgs } from "node:util";
+
+import { describeVerification } from "./verify.js";
+import {
+  compileFilter,
+  isEmptyFilter,
+  FILTER_CLI_OPTIONS,
+  FILTER_CLI_USAGE,
+  filterFromCli,
+} from "./filter.js";
+import {
+  createSession,
+  loadSession,
+  saveSession,
+  listSessions,
+} from "./sessions.js";
+import {
+  principalFromCli,
+  accessScope,
+  PRINCIPAL_CLI_OPTIONS,
+  PRINCIPAL_CLI_USAGE,
+} from "./acl.js";
+import { createRagPipeline, configFromEnv, quotaHint } from "./rag.js";
+import { classifyOpenAIError } from "./resilience.js";
+
+const rag = createRagPipeline(configFromEnv());
+const { log, config } = rag;
+
+/* ----------------------------- CLI ----------------------------- */
+
+const USAGE = `Usage:
+  npm run chat -- [--session <id>] [--group name] [filters]
+  npm run chat -- --list
+
+  --session <id>    resume a saved session (or start a new one with this id)
+  --list            list saved sessions
+
+${PRINCIPAL_CLI_USAGE}
+A session resumes only with the --group options it was started with.
+
+Filters apply to a new session; a resumed session keeps its own.
+${FILTER_CLI_USAGE}`;
+
+const HELP = `Commands:
+  /history   show the conversation so far
+  /new       start a new session
+  /sessions  list saved sessions
+  /exit      quit (Ctrl+D works too)`;
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      ...FILTER_CLI_OPTIONS,
+      ...PRINCIPAL_CLI_OPTIONS,
+      session: { type: "string" },
+      list: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  return {
+    ...values,
+    filter: filterFromCli(values),
+    principal: principalFromCli(values),
+  };
+}
+
+function describeError(err) {
+  const info = classifyOpenAIError(err);
+  const hint = quotaHint(err);
+  if (hint) return hint;
+  if (info.isRateLimit)
+    return "Rate limited even after retries. Try again later.";
+  return `Unexpected error: ${info.message || String(err)}`;
+}
+
+async function printSessions() {
+  const sessions = await listSessions();
+  if (sessions.length === 0) {
+    console.log("No saved sessions.");
+    return;
+  }
+  for (const s of sessions) {
+    console.log(`  ${s.id}  (${s.turns} turns, updated ${s.updatedAt})`);
+  }
+}
+
+function printHistory(session) {
+  if (session.turns.length === 0) {
+    console.log("(no turns yet)");
+    return;
+  }
+  for (const t of session.turns) {
+    console.log(`\nyou> ${t.question}`);
+    console.log(t.rendered ?? t.answer);
+  }
+}
+
+/* ----------------------------- Main Flow ----------------------------- */
+
+async function main() {
+  let cli;
+  try {
+    cli = parseCli(process.argv.slice(2));
+  } catch (err) {
+    console.log(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (cli.list) {
+    await printSessions();
+    return;
+  }
+
+  // 1) Session (resume or new). Earlier answers go back into the prompt, so
+  // they must not reach groups that couldn't read their sources
+  const scope = accessScope(cli.principal);
+  let session = cli.session ? await loadSession(cli.session) : null;
+  if (session) {
+    if (session.scope !== scope) {
+      const groups = (s) => (s ? `--group ${s}` : "no --group");
+      log.err(
+        session.scope === undefined
+          ? `Session "${session.id}" predates access scopes and can't be resumed; start a new one.`
+          : `Session "${session.id}" was started with ${groups(session.scope)}; resume it with the same groups.`
+      );
+      process.exit(1);
+    }
+    log.ok("Resumed session", { id: session.id, turns: session.turns.length });
+  } else {
+    compileFilter(cli.filter); // fail early on bad dates
+    session = createSession(cli.session, { filter: cli.filter, scope });
+  }
+  if (!isEmptyFilter(session.filter)) {
+    log.info("Retrieval filter", session.filter);
+  }
+
+  // 2) Index (once for the whole chat; caches load with the first turn)
+  const store = await rag.loadStore();
+  log.ok("Index loaded", { chunks: store.items.length });
+
+  console.log(`\nSession: ${session.id}`);
+  console.log(`Resume later with: npm run chat -- --session ${session.id}`);
+  console.log(`Type a question, or /help.\n`);
+
+  // 3) REPL (lines are read as an async stream, so piped input works too)
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: "you> ",
+  });
+
+  const runCommand = async (input) => {
+    const cmd = input.slice(1).toLowerCase();
+    if (cmd === "exit" || cmd === "quit") return false;
+    if (cmd === "help") console.log(HELP);
+    else if (cmd === "history") printHistory(session);
+    else if (cmd === "sessions") await printSessions();
+    else if (cmd === "new") {
+      session = createSession(undefined, {
+        filter: session.filter,
+        scope: session.scope,
+      });
+      console.log(`New session: ${session.id}`);
+    } else console.log(`Unknown command "${input}".\n${HELP}`);
+    return true;
+  };
+
+  // No streaming when a failed verification must hide the answer
+  const stream = config.stream && config.verify.onFail !== "refuse";
+
+  const runTurn = async (question) => {
+    let streaming = false;
+    const result = await rag.ask(question, {
+      filter: session.filter,
+      principal: cli.principal,
+      history: session.turns,
+      onRetrieved: ({ standalone }) => {
+        if (standalone !== question) log.info(`Searching for: ${standalone}`);
+      },
+      onDelta: stream
+        ? (text) => {
+            streaming = true;
+            process.stdout.write(text);
+          }
+        : undefined,
+    });
+
+    const { refused, verification } = result;
+    if (streaming) process.stdout.write("\n");
+    else console.log(result.rendered);
+    if (verification?.verdict === "fail") {
+      log.warn(
+        `${refused ? "Answer withheld" : "Answer may not be supported by the sources"}: ${describeVerification(verification)}`
+      );
+    }
+    if (result.citations.length > 0) {
+      console.log("\nSources:");
+      for (const c of result.citations) console.log(`  - ${c.target}`);
+    }
+    console.log();
+
+    // A withheld answer comes back as REFUSAL, so it can't leak into later
+    // turns via the history
+    session.turns.push({
+      question,
+      standalone: result.standalone,
+      answer: result.answer,
+      rendered: result.rendered,
+      citations: result.citations,
+      at: new Date().toISOString(),
+    });
+    await saveSession(session);
+    await rag.saveCaches();
+  };
+
+  rl.prompt();
+  for await (const line of rl) {
+    const input = line.trim();
+
+    if (input.startsWith("/")) {
+      if (!(await runCommand(input))) break;
+    } else if (input) {
+      try {
+        await runTurn(input);
+      } catch (err) {
+        log.err(describeError(err));
+        if (config.debug) console.error(err);
+      }
+    }
+    rl.prompt();
+  }
+
+  rl.close();
+  if (session.turns.length > 0) await saveSession(session);
+  await rag.saveCaches();
+}
+
+main().catch((e) => {
+  log.err("Unexpected error", { message: e.message || String(e) });
+  if (config.debug) console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,352 @@
+/**
+ * chunkers.js
+ * -----------
+ * Chunking strategies, picked per file extension by index.js.
+ * A chunker is (text, opts) => string[].
+ *
+ * - "chars":    lib.js chunkText (fixed-size character windows, whitespace collapsed)
+ * - "tokens":   sentence-packed chunks measured in real tokens
+ *               ({ maxTokens, overlapTokens }, see tokens.js)
+ * - "markdown": structure-aware; splits on the heading hierarchy, never cuts
+ *               through code fences or tables, keeps indentation, and prefixes
+ *               each chunk with its heading breadcrumb ("Billing > Refunds").
+ *               Sized in tokens when `maxTokens` is given, else in characters.
+ * - "code":     source files; keeps whitespace, breaks at blank lines between
+ *               blocks (functions, classes) and only mid-block when one is too big
+ */
+
+import { chunkText, normalizeText } from "./lib.js";
+import { countTokens, encodeTokens, decodeTokens } from "./tokens.js";
+
+const CHUNKERS = new Map();
+
+export function registerChunker(name, fn) {
+  CHUNKERS.set(name, fn);
+}
+
+export function getChunker(name = "chars") {
+  const fn = CHUNKERS.get(name);
+  if (!fn) {
+    throw new Error(
+      `Unknown chunker "${name}" (registered: ${[...CHUNKERS.keys()].join(", ")})`
+    );
+  }
+  return fn;
+}
+
+/* ----------------------------- Tokens ----------------------------- */
+
+// Sentence-ish pieces, each keeping its trailing whitespace so joins are lossless
+function splitSentences(text) {
+  return text.match(/[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*|[.!?\n]+\s*/g) || [];
+}
+
+/**
+ * Packs whole sentences into chunks of at most `maxTokens` tokens.
+ * Overlap repeats the trailing sentences (up to `overlapTokens`) so a chunk
+ * never starts mid-sentence. Sentences longer than the budget are split on
+ * token boundaries as a last resort.
+ */
+export function chunkTokens(
+  text,
+  { maxTokens = 300, overlapTokens = 50, encoding } = {}
+) {
+  const units = [];
+  for (const s of splitSentences(normalizeText(text))) {
+    const tokens = encodeTokens(s, encoding);
+    if (tokens.length <= maxTokens) {
+      units.push({ text: s, n: tokens.length });
+      continue;
+    }
+    for (let i = 0; i < tokens.length; i += maxTokens) {
+      const window = tokens.slice(i, i + maxTokens);
+      units.push({ text: decodeTokens(window, encoding), n: window.length });
+    }
+  }
+
+  const chunks = [];
+  let cur = [];
+  let fresh = 0;
+  let n = 0;
+
+  const emit = () => {
+    if (fresh === 0) return;
+    chunks.push(
+      cur
+        .map((u) => u.text)
+        .join("")
+        .trim()
+    );
+
+    const carry = [];
+    let carried = 0;
+    for (let i = cur.length - 1; i >= 0; i--) {
+      if (carried + cur[i].n > overlapTokens) break;
+      carry.unshift(cur[i]);
+      carried += cur[i].n;
+    }
+    cur = carry;
+    fresh = 0;
+    n = carried;
+  };
+
+  for (const u of units) {
+    if (n + u.n > maxTokens) emit();
+    if (n + u.n > maxTokens) {
+      cur = [];
+      n = 0;
+    }
+    cur.push(u);
+    fresh++;
+    n += u.n;
+  }
+  emit();
+
+  return chunks.filter(Boolean);
+}
+
+/* ----------------------------- Markdown ----------------------------- */
+
+const FENCE_RE = /^\s{0,3}(`{3,}|~{3,})(.*)$/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const TABLE_RE = /^\s*\|/;
+
+/**
+ * Split markdown into sections (one per heading) made of atomic blocks.
+ * Block kinds: "text" (paragraph/list), "code" (whole fence), "table".
+ */
+export function parseMarkdownSections(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const sections = [];
+  const trail = []; // heading stack: [{ level, title }]
+  let current = { breadcrumb: [], blocks: [] };
+  let para = [];
+
+  const flushPara = () => {
+    if (para.length > 0) {
+      current.blocks.push({ kind: "text", text: para.join("\n") });
+      para = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\s+$/, "");
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      flushPara();
+      const marker = fence[1];
+      const block = [line];
+      i++;
+      while (i < lines.length) {
+        block.push(lines[i]);
+        if (lines[i].trim().startsWith(marker)) break;
+        i++;
+      }
+      current.blocks.push({
+        kind: "code",
+        text: block.join("\n"),
+        open: line,
+        close: marker,
+      });
+      continue;
+    }
+
+    if (TABLE_RE.test(line)) {
+      flushPara();
+      const block = [line];
+      while (i + 1 < lines.length && TABLE_RE.test(lines[i + 1])) {
+        block.push(lines[++i].replace(/\s+$/, ""));
+      }
+      current.blocks.push({ kind: "table", text: block.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      flushPara();
+      if (current.blocks.length > 0) sections.push(current);
+
+      const level = heading[1].length;
+      while (trail.length > 0 && trail[trail.length - 1].level >= level) {
+        trail.pop();
+      }
+      trail.push({ level, title: heading[2] });
+      current = { breadcrumb: trail.map((h) => h.title), blocks: [] };
+      continue;
+    }
+
+    if (line.trim() === "") flushPara();
+    else para.push(line);
+  }
+
+  flushPara();
+  if (current.blocks.length > 0) sections.push(current);
+  return sections;
+}
+
+/**
+ * Sizing for the markdown chunker: characters by default, tokens when
+ * `maxTokens` is set. `split` chops an oversized prose block.
+ */
+function sizing({
+  maxChars = 1200,
+  overlapChars = 200,
+  maxTokens,
+  overlapTokens = 50,
+  encoding,
+}) {
+  if (maxTokens != null) {
+    return {
+      max: maxTokens,
+      overlap: overlapTokens,
+      size: (s) => countTokens(s, encoding),
+      split: (s, max) =>
+        chunkTokens(s, { maxTokens: max, overlapTokens, encoding }),
+    };
+  }
+  return {
+    max: maxChars,
+    overlap: overlapChars,
+    size: (s) => s.length,
+    split: (s, max) => chunkText(s, { maxChars: max, overlapChars }),
+  };
+}
+
+// Break one oversized block into pieces that fit, keeping it well-formed
+function splitBlock(block, budget, sz) {
+  if (sz.size(block.text) <= budget) return [block.text];
+
+  if (block.kind === "code") {
+    // Re-fence each piece so every chunk is still valid markdown
+    const body = block.text.split("\n").slice(1, -1);
+    const room = Math.max(
+      1,
+      budget - sz.size(`${block.open}\n\n${block.close}`)
+    );
+    return packLines(body, room, sz).map(
+      (piece) => `${block.open}\n${piece}\n${block.close}`
+    );
+  }
+
+  if (block.kind === "table") {
+    // Repeat header + separator rows on every piece
+    const [header, sep, ...rows] = block.text.split("\n");
+    const head = sep ? `${header}\n${sep}` : header;
+    const room = Math.max(1, budget - sz.size(`${head}\n`));
+    return packLines(rows, room, sz).map((piece) => `${head}\n${piece}`);
+  }
+
+  return sz.split(block.text, budget);
+}
+
+function packLines(lines, budget, sz) {
+  const pieces = [];
+  let cur = [];
+  let len = 0;
+  for (const line of lines) {
+    const n = sz.size(`${line}\n`);
+    if (cur.length > 0 && len + n > budget) {
+      pieces.push(cur.join("\n"));
+      cur = [];
+      len = 0;
+    }
+    cur.push(line);
+    len += n;
+  }
+  if (cur.length > 0) pieces.push(cur.join("\n"));
+  return pieces;
+}
+
+export function chunkMarkdown(text, opts = {}) {
+  const sz = sizing(opts);
+  const sep = sz.size("\n\n");
+  const chunks = [];
+
+  for (const section of parseMarkdownSections(text)) {
+    const prefix =
+      section.breadcrumb.length > 0
+        ? `${section.breadcrumb.join(" > ")}\n\n`
+        : "";
+    const budget = Math.max(1, sz.max - sz.size(prefix));
+
+    let cur = []; // blocks in the chunk being built
+    let fresh = 0; // how many of them are new (not overlap carried over)
+    let len = 0;
+
+    const emit = () => {
+      if (fresh === 0) return;
+      chunks.push(prefix + cur.map((b) => b.text).join("\n\n"));
+
+      // Overlap: carry trailing prose (never code/tables) into the next chunk
+      const carry = [];
+      let carried = 0;
+      for (let i = cur.length - 1; i >= 0; i--) {
+        const b = cur[i];
+        if (b.kind !== "text" || carried + b.size > sz.overlap) break;
+        carry.unshift(b);
+        carried += b.size + sep;
+      }
+      cur = carry;
+      fresh = 0;
+      len = carried;
+    };
+
+    for (const block of section.blocks) {
+      for (const piece of splitBlock(block, budget, sz)) {
+        const size = sz.size(piece);
+        if (len + size > budget) emit();
+        // Overlap that doesn't fit alongside the next block is dropped
+        if (len + size > budget) {
+          cur = [];
+          len = 0;
+        }
+        cur.push({ kind: block.kind, text: piece, size });
+        fresh++;
+        len += size + sep;
+      }
+    }
+
+    emit();
+  }
+
+  return chunks;
+}
+
+/* ----------------------------- Code ----------------------------- */
+
+export function chunkCode(text, opts = {}) {
+  const sz = sizing(opts);
+  const blocks = text.replace(/\r\n/g, "\n").split(/\n[ \t]*\n/);
+  const chunks = [];
+  let cur = [];
+  let len = 0;
+
+  const emit = () => {
+    const chunk = cur.join("\n\n").replace(/^\n+|\s+$/g, "");
+    if (chunk) chunks.push(chunk);
+    cur = [];
+    len = 0;
+  };
+
+  for (const block of blocks) {
+    const pieces =
+      sz.size(block) <= sz.max
+        ? [block]
+        : packLines(block.split("\n"), sz.max, sz);
+    for (const piece of pieces) {
+      const size = sz.size(piece);
+      if (cur.length > 0 && len + size > sz.max) emit();
+      cur.push(piece);
+      len += size + 1;
+    }
+  }
+  emit();
+
+  return chunks;
+}
+
+registerChunker("chars", chunkText);
+registerChunker("code", chunkCode);
+registerChunker("tokens", chunkTokens);
+registerChunker("markdown", chunkMarkdown);
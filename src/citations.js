@@ -0,0 +1,141 @@
+/**
+ * citations.js
+ * ------------
+ * One place for how chunks are cited.
+ * - label:  what the model sees and cites, "[source: data/x.md#3]", or
+ *           "[source: data/x.md#3-5]" for an expanded block of chunks 3..5
+ * - target: where a reader should go; PDFs resolve to "file.pdf#page=N"
+ *           (the standard PDF open-at-page fragment), text/markdown/code to
+ *           "file:12-30" (editors and terminals open that at the line),
+ *           anything else to "file#chunkIndex"
+ *
+ * Answers stream in token by token, so createCitationRenderer() resolves
+ * labels as soon as one is complete, holding back only a possible partial
+ * "[source: ..." at the end of what has arrived so far.
+ */
+
+function formatLabel(source, chunkIndex, chunkEnd) {
+  return chunkEnd > chunkIndex
+    ? `${source}#${chunkIndex}-${chunkEnd}`
+    : `${source}#${chunkIndex}`;
+}
+
+export function citationLabel(item) {
+  return formatLabel(item.source, item.chunkIndex, item.chunkEnd);
+}
+
+export function citationTarget(item) {
+  const { page, lines } = item.meta || {};
+  if (page) return `${item.source}#page=${page}`;
+  if (lines) {
+    const [start, end] = lines;
+    return `${item.source}:${start}${end > start ? `-${end}` : ""}`;
+  }
+  return citationLabel(item);
+}
+
+// Context header for a chunk; page hint helps the model say "see page 4"
+export function contextHeader(item) {
+  const page = item.meta?.page;
+  return `[source: ${citationLabel(item)}]${page ? ` (page ${page})` : ""}\n`;
+}
+
+const CITATION_RE = /\[source:\s*([^\]#]+)#(\d+)(?:-(\d+))?\s*\]/g;
+
+function toCitation(m) {
+  const source = m[1].trim();
+  const chunkIndex = Number(m[2]);
+  const chunkEnd = m[3] != null ? Number(m[3]) : chunkIndex;
+  return {
+    label: formatLabel(source, chunkIndex, chunkEnd),
+    source,
+    chunkIndex,
+    chunkEnd,
+  };
+}
+
+// Unique citations in order of first appearance: [{ label, source, chunkIndex, chunkEnd }]
+export function parseCitations(text) {
+  const seen = new Map();
+  for (const m of text.matchAll(CITATION_RE)) {
+    const c = toCitation(m);
+    if (!seen.has(c.label)) seen.set(c.label, c);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Lookup from a parsed citation to the context item it refers to: the exact
+ * label, else the item of the same source whose chunk range contains it
+ * (the model may cite "x.md#4" out of an expanded block "x.md#3-5").
+ * Returns (citation) => item | undefined.
+ */
+export function citationLookup(items) {
+  const byLabel = new Map(items.map((it) => [citationLabel(it), it]));
+  return (c) =>
+    byLabel.get(c.label) ??
+    items.find(
+      (it) =>
+        it.source === c.source &&
+        c.chunkIndex >= it.chunkIndex &&
+        c.chunkIndex <= (it.chunkEnd ?? it.chunkIndex)
+    );
+}
+
+const LABEL_PREFIX = "[source:";
+const MAX_LABEL_LENGTH = 512;
+const LABEL_RE = /^\[source:\s*([^\]#]+)#(\d+)(?:-(\d+))?\s*\]/;
+
+// Could `s` (starting at "[") still grow into a citation label?
+function maybeLabel(s) {
+  if (s.length > MAX_LABEL_LENGTH || s.includes("\n")) return false;
+  return LABEL_PREFIX.startsWith(s.slice(0, LABEL_PREFIX.length));
+}
+
+/**
+ * Incremental citation rendering for streamed text.
+ * - resolve({ label, source, chunkIndex, chunkEnd }) -> replacement string, or null to
+ *   leave the label as written
+ * write(delta) returns the text that is safe to show now; end() flushes the rest.
+ */
+export function createCitationRenderer(resolve) {
+  let pending = "";
+
+  const drain = (final) => {
+    let out = "";
+    while (pending) {
+      const open = pending.indexOf("[");
+      if (open === -1) {
+        out += pending;
+        pending = "";
+        break;
+      }
+      out += pending.slice(0, open);
+      pending = pending.slice(open);
+
+      const m = pending.match(LABEL_RE);
+      if (m) {
+        out += resolve(toCitation(m)) ?? m[0];
+        pending = pending.slice(m[0].length);
+        continue;
+      }
+
+      // Unfinished label: wait for more text (unless this is the end)
+      if (!final && !pending.includes("]") && maybeLabel(pending)) break;
+
+      out += "[";
+      pending = pending.slice(1);
+    }
+    return out;
+  };
+
+  return {
+    write(delta) {
+      pending += delta;
+      return drain(false);
+    },
+    end() {
+      return drain(true);
+    },
+  };
+}
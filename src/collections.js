@@ -0,0 +1,143 @@
+/**
+ * collections.js
+ * --------------
+ * Named collections: separate corpora in one deployment (e.g. hr,
+ * eng-runbooks, api-docs), each with its own documents, chunking and index
+ * file. Defined in collections.json (RAG_COLLECTIONS moves it; see
+ * collections.example.json):
+ *
+ * {
+ *   "hr":           { "dataDir": "data/hr" },
+ *   "eng-runbooks": { "dataDir": "docs", "include": ["runbooks/**"],
+ *                     "chunk": { "maxTokens": 400, "overlapTokens": 60 } },
+ *   "api-docs":     { "dataDir": "docs/api", "chunkers": { "md": "markdown" },
+ *                     "indexPath": "index/api/store.json" }
+ * }
+ *
+ * Options (all optional):
+ * - dataDir:   where the documents live (default data/<name>)
+ * - include:   globs relative to dataDir (default: every loader extension)
+ * - indexPath: index file (default index/<name>/store.json)
+ * - chunk:     { maxTokens, overlapTokens } (default: RAG_CHUNK_* env)
+ * - chunkers:  per-extension chunker overrides (see chunkers.js)
+ *
+ * The "default" collection is the original single corpus, data/ ->
+ * index/store.json; it's what the CLIs use without --collection.
+ * collections.json may redefine it.
+ */
+
+import { loadJSON } from "./lib.js";
+
+export const COLLECTIONS_PATH =
+  process.env.RAG_COLLECTIONS || "collections.json";
+
+export const DEFAULT_COLLECTION = "default";
+
+const OPTIONS = ["dataDir", "include", "indexPath", "chunk", "chunkers"];
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * loadCollections(file)
+ * Returns { [name]: { name, dataDir, include, indexPath, chunk, chunkers } }
+ * (unset options stay undefined so buildIndex() falls back to its
+ * defaults). A missing file just means "default only".
+ */
+export async function loadCollections(file = COLLECTIONS_PATH) {
+  let defs = {};
+  try {
+    defs = await loadJSON(file);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const collections = {
+    [DEFAULT_COLLECTION]: {
+      name: DEFAULT_COLLECTION,
+      dataDir: "data",
+      indexPath: "index/store.json",
+    },
+  };
+
+  for (const [name, def] of Object.entries(defs)) {
+    if (!NAME_RE.test(name)) {
+      throw new Error(
+        `Invalid collection name "${name}" in ${file} (letters, digits, - and _)`
+      );
+    }
+    for (const key of Object.keys(def)) {
+      if (!OPTIONS.includes(key)) {
+        throw new Error(
+          `Unknown option "${key}" for collection "${name}" in ${file} (known: ${OPTIONS.join(", ")})`
+        );
+      }
+    }
+    collections[name] = {
+      name,
+      dataDir: def.dataDir ?? `data/${name}`,
+      include: def.include,
+      indexPath: def.indexPath ?? `index/${name}/store.json`,
+      chunk: def.chunk,
+      chunkers: def.chunkers,
+    };
+  }
+  return collections;
+}
+
+/**
+ * selectCollections(names, { file })
+ * - names: from --collection (repeatable, or comma-separated); "all" means
+ *          every collection defined in the file; none -> the default
+ * Returns the matching collection definitions, in the order given.
+ */
+export async function selectCollections(names = [], { file } = {}) {
+  const collections = await loadCollections(file);
+  const wanted = names.flatMap((n) => n.split(",")).map((n) => n.trim());
+  if (wanted.length === 0) return [collections[DEFAULT_COLLECTION]];
+
+  if (wanted.includes("all")) {
+    const defined = Object.values(collections).filter(
+      (c) => c.name !== DEFAULT_COLLECTION
+    );
+    if (defined.length === 0) {
+      throw new Error(
+        `--collection all: no collections defined in ${file ?? COLLECTIONS_PATH}`
+      );
+    }
+    return defined;
+  }
+
+  return [...new Set(wanted)].map((name) => {
+    if (!collections[name]) {
+      throw new Error(
+        `Unknown collection "${name}" (known: ${Object.keys(collections).join(", ")})`
+      );
+    }
+    return collections[name];
+  });
+}
+
+/**
+ * Pipeline options (see rag.js) for searching the selected collections:
+ * one -> just its index; several -> searched together, hits labelled with
+ * their collection.
+ */
+export function pipelineConfigFor(collections) {
+  if (collections.length === 1) return { indexPath: collections[0].indexPath };
+  return {
+    collections: collections.map(({ name, indexPath }) => ({
+      name,
+      indexPath,
+    })),
+  };
+}
+
+/* ----------------------------- CLI ----------------------------- */
+
+// parseArgs() options + help text shared by the CLIs (index, ask)
+export const COLLECTION_CLI_OPTIONS = {
+  collection: { type: "string", multiple: true },
+};
+
+export const COLLECTION_CLI_USAGE = `Collections (see collections.json; default: data/ -> index/store.json):
+  --collection <name>   repeat or comma-separate to use several; "all" for
+                        every collection in collections.json`;
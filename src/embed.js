@@ -1,20 +1,14 @@
-import { client, normalizeText } from "./lib.js";
+import { normalizeText } from "./lib.js";
 import { toUnitEmbedding } from "./vectorStore.js";
+import { getEmbeddingProvider } from "./providers.js";
 
 export async function embedTexts(
   texts,
-  { model = "text-embedding-3-small" } = {}
+  { provider = getEmbeddingProvider() } = {}
 ) {
-  // Official embeddings endpoint :contentReference[oaicite:4]{index=4}
   const input = texts.map((t) => normalizeText(t));
-  const res = await client.embeddings.create({
-    model,
-    input,
-    encoding_format: "float",
-  });
-
-  // res.data[i].embedding is float[] unless you choose base64 encoding_format :contentReference[oaicite:5]{index=5}
-  return res.data.map((d) => toUnitEmbedding(d.embedding));
+  const vectors = await provider.embed(input);
+  return vectors.map((v) => toUnitEmbedding(v));
 }
 
 export async function embedText(text, opts) {
@@ -0,0 +1,393 @@
+/**
+ * eval.js
+ * -------
+ * Retrieval evaluation against a golden question set, so tuning
+ * (top-k sizes, context budget, pickDiverse lambda, multi-query / HyDE,
+ * search mode...) is measured instead of guessed.
+ *
+ * Golden set (JSONL, one question per line):
+ *   {"id": "refunds", "question": "How long do refunds take?",
+ *    "expected": ["runbooks/billing.md#2", "wiki/policy.pdf"], "filter": {...},
+ *    "groups": ["hr"]}
+ * `expected` entries are chunk ids ("file#chunkIndex") or whole files; paths
+ * may include the data dir ("data/runbooks/billing.md") or not.
+ * Retrieval only sees what the asker may read (see acl.js): a question runs
+ * as a member of its `groups`, else of the --group options, else anonymous
+ * (public documents only).
+ *
+ * Profiles (JSON): { "<name>": { ...retrieval params } } — overrides for
+ * config.retrieval in rag.js, e.g. { "no-hyde": { "hyde": false } }.
+ * The first profile is the baseline the others are diffed against.
+ *
+ * Metrics, on the chunks that made it into the context (rank order):
+ *   recall@k  share of expected entries found in the top k
+ *   MRR       1 / rank of the first relevant chunk
+ *   nDCG@k    rank-discounted gain, 1.0 = all expected entries at the top
+ *   candRecall  recall over every retrieved candidate (before diversify/budget)
+ *
+ * Offline by default: query embeddings and rewrites must come from .cache
+ * (or the local provider). Run once with --online to fill the cache, then
+ * commit/restore .cache in CI.
+ *
+ * Usage:
+ *   npm run eval
+ *   npm run eval -- --golden eval/golden.jsonl --profiles eval/profiles.json --k 5
+ *   npm run eval -- --profile baseline --profile wide --out eval/results.json
+ *   npm run eval -- --group hr
+ *   npm run eval -- --compare eval/results.json --fail-on-regression
+ */
+
+import fs from "node:fs/promises";
+import { parseArgs } from "node:util";
+
+import { saveJSON, loadJSON } from "./lib.js";
+import {
+  normalizePrincipal,
+  principalFromCli,
+  PRINCIPAL_CLI_OPTIONS,
+  PRINCIPAL_CLI_USAGE,
+} from "./acl.js";
+import {
+  createRagPipeline,
+  configFromEnv,
+  resolveParams,
+  OfflineCacheMissError,
+} from "./rag.js";
+
+const DEFAULT_GOLDEN = "eval/golden.jsonl";
+const DEFAULT_PROFILES = "eval/profiles.json";
+
+const USAGE = `Usage:
+  npm run eval -- [--golden file] [--profiles file] [--profile name...]
+                  [--k n] [--out file] [--compare file]
+                  [--fail-on-regression] [--online] [--group name]
+
+  --golden <file>       golden questions, JSONL (default ${DEFAULT_GOLDEN})
+  --profiles <file>     retrieval profiles, JSON (default ${DEFAULT_PROFILES})
+  --profile <name>      run only this profile (repeat for several)
+  --k <n>               cut-off for recall@k / nDCG@k (default 5)
+  --out <file>          save the results as JSON
+  --compare <file>      diff against results saved with --out
+  --fail-on-regression  exit 1 when --compare finds a regression
+  --online              call the models for what isn't cached
+
+${PRINCIPAL_CLI_USAGE}`;
+
+// Runs every question under every profile; those don't belong in the trace log
+const rag = createRagPipeline({
+  ...configFromEnv(),
+  trace: { enabled: false },
+});
+const { log } = rag;
+
+let opts;
+try {
+  ({ values: opts } = parseArgs({
+    options: {
+      golden: { type: "string", default: DEFAULT_GOLDEN },
+      profiles: { type: "string", default: DEFAULT_PROFILES },
+      profile: { type: "string", multiple: true },
+      k: { type: "string", default: "5" },
+      out: { type: "string" },
+      compare: { type: "string" },
+      online: { type: "boolean", default: false },
+      "fail-on-regression": { type: "boolean", default: false },
+      ...PRINCIPAL_CLI_OPTIONS,
+    },
+  }));
+} catch (err) {
+  console.log(`${err.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+/* ----------------------------- Inputs ----------------------------- */
+
+async function readGolden(file) {
+  const raw = await fs.readFile(file, "utf-8");
+  const questions = [];
+
+  raw.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let q;
+    try {
+      q = JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${i + 1}: invalid JSON`);
+    }
+    const expected = [].concat(q.expected ?? []);
+    if (typeof q.question !== "string" || expected.length === 0) {
+      throw new Error(`${file}:${i + 1}: needs "question" and "expected"`);
+    }
+    questions.push({
+      id: String(q.id ?? `q${i + 1}`),
+      question: q.question,
+      expected: expected.map(normalizeEntry),
+      filter: q.filter,
+      principal:
+        q.groups != null ? normalizePrincipal({ groups: q.groups }) : null,
+    });
+  });
+
+  return questions;
+}
+
+// No profiles file -> one profile with the current (env) settings
+async function readProfiles(file, names) {
+  let profiles = { default: {} };
+  try {
+    profiles = await loadJSON(file);
+  } catch (err) {
+    if (err.code !== "ENOENT" || file !== DEFAULT_PROFILES) throw err;
+  }
+
+  if (names?.length > 0) {
+    for (const n of names) {
+      if (!profiles[n]) throw new Error(`Unknown profile "${n}" in ${file}`);
+    }
+    profiles = Object.fromEntries(names.map((n) => [n, profiles[n]]));
+  }
+
+  // Validate params up front
+  for (const [name, params] of Object.entries(profiles)) {
+    try {
+      resolveParams(params);
+    } catch (err) {
+      throw new Error(`Profile "${name}": ${err.message}`);
+    }
+  }
+  return profiles;
+}
+
+/* ----------------------------- Metrics ----------------------------- */
+
+function normalizeEntry(entry) {
+  return String(entry).trim().replace(/^\.\//, "");
+}
+
+// Expanded context blocks cover chunkIndex..chunkEnd
+function matchesEntry(item, entry) {
+  const rel = item.meta?.path;
+  const m = entry.match(/^(.*)#(\d+)$/);
+  if (!m) return entry === item.source || entry === rel;
+
+  const [, file, idx] = m;
+  const i = Number(idx);
+  return (
+    (file === item.source || file === rel) &&
+    i >= item.chunkIndex &&
+    i <= (item.chunkEnd ?? item.chunkIndex)
+  );
+}
+
+/**
+ * Scores one ranked list of items against the expected entries.
+ * Each item can satisfy at most one entry (and each entry is found once),
+ * so several chunks of an expected file don't inflate recall or nDCG.
+ */
+function scoreRanking(items, expected, k) {
+  const foundAt = new Map(); // entry -> 1-based rank
+
+  items.forEach((item, i) => {
+    const entry = expected.find(
+      (e) => !foundAt.has(e) && matchesEntry(item, e)
+    );
+    if (entry) foundAt.set(entry, i + 1);
+  });
+
+  const ranks = [...foundAt.values()];
+  const inTopK = ranks.filter((r) => r <= k);
+
+  let dcg = 0;
+  for (const r of inTopK) dcg += 1 / Math.log2(r + 1);
+  let idcg = 0;
+  for (let r = 1; r <= Math.min(expected.length, k); r++) {
+    idcg += 1 / Math.log2(r + 1);
+  }
+
+  return {
+    recall: inTopK.length / expected.length,
+    rr: ranks.length > 0 ? 1 / Math.min(...ranks) : 0,
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    allRecall: ranks.length / expected.length,
+  };
+}
+
+const mean = (xs) =>
+  xs.length > 0 ? xs.reduce((a, b) => a + b, 0) / xs.length : 0;
+
+/* ----------------------------- Runs ----------------------------- */
+
+async function runProfile(questions, params, { k, offline, principal }) {
+  const results = [];
+
+  for (const q of questions) {
+    try {
+      const { hits, candidates: all } = await rag.retrieve(q.question, {
+        filter: q.filter,
+        principal: q.principal ?? principal,
+        params,
+        offline,
+      });
+      const context = scoreRanking(hits, q.expected, k);
+      const candidates = scoreRanking(all, q.expected, Infinity);
+
+      results.push({
+        id: q.id,
+        recall: context.recall,
+        rr: context.rr,
+        ndcg: context.ndcg,
+        candRecall: candidates.allRecall,
+        top: hits.slice(0, k).map((h) => h.id),
+      });
+    } catch (err) {
+      if (!(err instanceof OfflineCacheMissError)) throw err;
+      results.push({ id: q.id, skipped: err.message });
+    }
+  }
+
+  const scored = results.filter((r) => !r.skipped);
+  return {
+    params,
+    summary: {
+      questions: scored.length,
+      skipped: results.length - scored.length,
+      recall: mean(scored.map((r) => r.recall)),
+      mrr: mean(scored.map((r) => r.rr)),
+      ndcg: mean(scored.map((r) => r.ndcg)),
+      candRecall: mean(scored.map((r) => r.candRecall)),
+    },
+    questions: results,
+  };
+}
+
+// Questions whose recall@k or reciprocal rank dropped (or rose) vs. `base`
+function diffRuns(base, run) {
+  const before = new Map(base.questions.map((q) => [q.id, q]));
+  const regressed = [];
+  const improved = [];
+  const EPS = 1e-9;
+
+  for (const q of run.questions) {
+    const b = before.get(q.id);
+    if (!b || b.skipped || q.skipped) continue;
+    const row = {
+      id: q.id,
+      recall: `${b.recall.toFixed(2)} → ${q.recall.toFixed(2)}`,
+      rr: `${b.rr.toFixed(2)} → ${q.rr.toFixed(2)}`,
+    };
+    if (q.recall < b.recall - EPS || q.rr < b.rr - EPS) regressed.push(row);
+    else if (q.recall > b.recall + EPS || q.rr > b.rr + EPS) improved.push(row);
+  }
+  return { regressed, improved };
+}
+
+function printDiff(title, { regressed, improved }) {
+  console.log(
+    `\n${title}: ${regressed.length} regressed, ${improved.length} improved`
+  );
+  if (regressed.length > 0) console.table(regressed);
+}
+
+/* ----------------------------- Main ----------------------------- */
+
+async function main() {
+  const k = Number(opts.k);
+  const offline = !opts.online;
+  const principal = principalFromCli(opts);
+
+  const questions = await readGolden(opts.golden);
+  const profiles = await readProfiles(opts.profiles, opts.profile);
+  const store = await rag.loadStore();
+
+  log.info("Evaluating retrieval", {
+    questions: questions.length,
+    profiles: Object.keys(profiles),
+    k,
+    offline,
+    groups: principal.groups,
+    chunks: store.items.length,
+  });
+
+  const runs = {};
+  for (const [name, params] of Object.entries(profiles)) {
+    runs[name] = await runProfile(questions, params, {
+      k,
+      offline,
+      principal,
+    });
+  }
+
+  // Online runs fill the caches that later offline runs depend on
+  if (!offline) await rag.saveCaches();
+
+  console.table(
+    Object.entries(runs).map(([name, { summary: s }]) => ({
+      profile: name,
+      questions: s.questions,
+      skipped: s.skipped,
+      [`recall@${k}`]: s.recall.toFixed(3),
+      MRR: s.mrr.toFixed(3),
+      [`nDCG@${k}`]: s.ndcg.toFixed(3),
+      candRecall: s.candRecall.toFixed(3),
+    }))
+  );
+
+  // Profiles vs. the first one
+  const [baseName, ...others] = Object.keys(runs);
+  for (const name of others) {
+    printDiff(`${name} vs ${baseName}`, diffRuns(runs[baseName], runs[name]));
+  }
+
+  // This run vs. a saved one (same profile names)
+  let regressions = 0;
+  if (opts.compare) {
+    const previous = await loadJSON(opts.compare);
+    if (previous.k !== k) {
+      log.warn(
+        `${opts.compare} was run with k=${previous.k}; recall@k won't compare`
+      );
+    }
+    for (const [name, run] of Object.entries(runs)) {
+      const prev = previous.profiles?.[name];
+      if (!prev) {
+        log.warn(`Profile "${name}" not in ${opts.compare}; not compared`);
+        continue;
+      }
+      const diff = diffRuns(prev, run);
+      regressions += diff.regressed.length;
+      printDiff(`${name} vs ${opts.compare}`, diff);
+    }
+  }
+
+  if (opts.out) {
+    await saveJSON(opts.out, {
+      createdAt: new Date().toISOString(),
+      golden: opts.golden,
+      k,
+      groups: principal.groups,
+      index: { path: rag.config.indexPath, chunks: store.items.length },
+      profiles: runs,
+    });
+    log.ok("Results saved", { out: opts.out });
+  }
+
+  const skipped = Object.values(runs).reduce(
+    (n, r) => n + r.summary.skipped,
+    0
+  );
+  if (skipped > 0) {
+    log.err(
+      `${skipped} question runs skipped: not in the cache. Run once with --online to fill it.`
+    );
+    process.exit(1);
+  }
+  if (opts["fail-on-regression"] && regressions > 0) {
+    log.err(`${regressions} regressions vs ${opts.compare}`);
+    process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  log.err("Eval failed", { message: e.message });
+  process.exit(1);
+});
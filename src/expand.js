@@ -0,0 +1,189 @@
+/**
+ * expand.js
+ * ---------
+ * Context expansion: a matched chunk often lacks the sentence that sets it
+ * up or the rest of its list. Chunks are stored with a per-source
+ * `chunkIndex`, so the neighbours are known; this pulls them in.
+ *
+ * Modes:
+ * - "neighbors": up to `window` chunks on each side of every selected hit
+ * - "document":  grow outward through the parent document
+ * Both stop at `maxTokens` extra tokens per hit (nearest chunks first).
+ *
+ * Neighbours are looked up per collection and source: a store merged from
+ * several collections (see vectorStore.js merge()) can hold the same
+ * relative path twice.
+ *
+ * Hits whose windows touch or overlap in the same source become ONE block,
+ * and the overlap chunkers repeat between neighbours (sentences, prose blocks,
+ * characters) is stitched out so it isn't sent twice. A block is cited as a
+ * range: "[source: file#3-5]", with merged line ranges for its target.
+ */
+
+import { countTokens } from "./tokens.js";
+
+export const EXPAND_MODES = ["none", "neighbors", "document"];
+
+// Shortest repeated text treated as chunk overlap rather than coincidence
+const MIN_OVERLAP_CHARS = 20;
+
+// sourceKey -> Map(chunkIndex -> item), cached per store instance
+const neighbourIndex = new WeakMap();
+
+const sourceKey = (item) => `${item.collection ?? ""}\0${item.source}`;
+
+function chunksBySource(store) {
+  let index = neighbourIndex.get(store);
+  if (!index) {
+    index = new Map();
+    for (const it of store.items) {
+      const key = sourceKey(it);
+      if (!index.has(key)) index.set(key, new Map());
+      index.get(key).set(it.chunkIndex, it);
+    }
+    neighbourIndex.set(store, index);
+  }
+  return index;
+}
+
+/**
+ * Joins two consecutive chunks without repeating their overlap.
+ * A repeated leading markdown breadcrumb ("Billing > Refunds\n\n") is dropped
+ * too; a different one stays, reading as the next section's heading.
+ */
+export function stitchChunks(a, b) {
+  const crumb = a.match(/^[^\n]+\n\n/)?.[0];
+  if (crumb && b.startsWith(crumb)) b = b.slice(crumb.length);
+
+  for (let k = Math.min(a.length, b.length); k >= MIN_OVERLAP_CHARS; k--) {
+    if (a.endsWith(b.slice(0, k))) return a + b.slice(k);
+  }
+  return `${a}\n${b}`;
+}
+
+// [lo, hi] chunk range around a hit, nearest neighbours first, within budget
+function windowFor(hit, chunks, { mode, window, maxTokens, accept }) {
+  const center = hit.item.chunkIndex;
+  let lo = center;
+  let hi = center;
+  let spent = 0;
+  const reach = mode === "neighbors" ? window : Infinity;
+
+  for (let d = 1; d <= reach; d++) {
+    let grew = false;
+    for (const i of [center - d, center + d]) {
+      const it = chunks.get(i);
+      if (!it || (accept && !accept(it))) continue;
+      const cost = countTokens(it.content);
+      if (spent + cost > maxTokens) continue;
+      // Only extend contiguously; a skipped chunk ends that side
+      if (i === lo - 1) lo = i;
+      else if (i === hi + 1) hi = i;
+      else continue;
+      spent += cost;
+      grew = true;
+    }
+    if (!grew) break;
+  }
+  return [lo, hi];
+}
+
+function mergedMeta(items) {
+  const meta = { ...items[0].meta };
+  const lines = items.map((it) => it.meta?.lines).filter(Boolean);
+  if (lines.length > 0) {
+    meta.lines = [
+      Math.min(...lines.map((l) => l[0])),
+      Math.max(...lines.map((l) => l[1])),
+    ];
+  }
+  return meta;
+}
+
+/**
+ * expandHits()
+ * - Input: selected hits (rank order), store, { mode, window, maxTokens,
+ *          accept } (accept: item predicate, e.g. the caller's ACL check;
+ *          a neighbour it rejects ends the window on that side)
+ * - Output: hits in the same order, each a block { item, score, members }.
+ *   Single-chunk blocks keep their original item; merged blocks get a
+ *   synthetic item with `chunkIndex..chunkEnd` and stitched content.
+ *   A block's score is its best member's; it sits at its best member's rank.
+ */
+export function expandHits(
+  hits,
+  store,
+  { mode = "neighbors", window = 1, maxTokens = 400, accept } = {}
+) {
+  if (mode === "none" || hits.length === 0) return hits;
+  if (!EXPAND_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown context expansion "${mode}" (${EXPAND_MODES.join(", ")})`
+    );
+  }
+
+  const index = chunksBySource(store);
+  const blocks = []; // { key, lo, hi, score, members }
+
+  for (const hit of hits) {
+    const key = sourceKey(hit.item);
+    const chunks = index.get(key) || new Map();
+    let [lo, hi] = windowFor(hit, chunks, { mode, window, maxTokens, accept });
+
+    // Absorb every earlier block of this source that touches the window
+    let target = null;
+    for (const b of blocks) {
+      if (b.key !== key || lo > b.hi + 1 || hi < b.lo - 1) continue;
+      if (!target) {
+        target = b;
+      } else {
+        b.merged = true;
+        target.members.push(...b.members);
+      }
+      lo = Math.min(lo, b.lo);
+      hi = Math.max(hi, b.hi);
+    }
+
+    if (target) {
+      target.lo = lo;
+      target.hi = hi;
+      target.members.push(hit);
+      target.score = Math.max(target.score, hit.score);
+      for (let i = blocks.length - 1; i >= 0; i--) {
+        if (blocks[i].merged) blocks.splice(i, 1);
+      }
+    } else {
+      blocks.push({ key, lo, hi, score: hit.score, members: [hit] });
+    }
+  }
+
+  return blocks.map((b) => {
+    const chunks = index.get(b.key);
+    const items = [];
+    for (let i = b.lo; i <= b.hi; i++) {
+      const it = chunks?.get(i);
+      if (it) items.push(it);
+    }
+    if (items.length <= 1) return b.members[0];
+
+    const first = items[0];
+    // Same id scheme as merge(): "<collection>:<source>#lo-hi"
+    const prefix = first.collection ? `${first.collection}:` : "";
+    const item = {
+      id: `${prefix}${first.source}#${b.lo}-${b.hi}`,
+      ...(first.collection && { collection: first.collection }),
+      source: first.source,
+      chunkIndex: b.lo,
+      chunkEnd: b.hi,
+      content: items.map((it) => it.content).reduce(stitchChunks),
+      meta: mergedMeta(items),
+      embeddingUnit: first.embeddingUnit,
+    };
+    return {
+      ...b.members[0],
+      item,
+      score: b.score,
+      members: b.members.map((h) => h.item.id),
+    };
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * filter.js
+ * ---------
+ * Turns a retrieval filter into a predicate over store items.
+ * Applied BEFORE scoring, so filtered-out chunks never compete for topK.
+ *
+ * Filter shape (all parts optional, all must match):
+ * {
+ *   source: "runbooks/**" | [...globs]   // any glob matches meta.path (relative to dataDir) or item.source
+ *   ext:    "md" | [...]                 // any
+ *   tags:   ["billing", ...]             // all tags required
+ *   after:  "2026-01-01"                 // meta.date (front matter) or file mtime >= after
+ *   before: "2026-06-30"                 // ... < before
+ * }
+ */
+
+import { minimatch } from "minimatch";
+
+const asList = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+function parseDate(value, label) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw new Error(`Invalid ${label} date "${value}" (use YYYY-MM-DD)`);
+  }
+  return d.getTime();
+}
+
+export function isEmptyFilter(filter) {
+  if (!filter) return true;
+  return (
+    asList(filter.source).length === 0 &&
+    asList(filter.ext).length === 0 &&
+    asList(filter.tags).length === 0 &&
+    !filter.after &&
+    !filter.before
+  );
+}
+
+// Returns (item) => boolean, or null when there is nothing to filter
+export function compileFilter(filter) {
+  if (isEmptyFilter(filter)) return null;
+
+  const sources = asList(filter.source);
+  const exts = asList(filter.ext).map((e) =>
+    e.replace(/^\./, "").toLowerCase()
+  );
+  const tags = asList(filter.tags).map((t) => t.toLowerCase());
+  const after = filter.after ? parseDate(filter.after, "after") : null;
+  const before = filter.before ? parseDate(filter.before, "before") : null;
+
+  return (item) => {
+    const meta = item.meta || {};
+
+    if (sources.length > 0) {
+      const ok = sources.some(
+        (g) =>
+          (meta.path && minimatch(meta.path, g)) || minimatch(item.source, g)
+      );
+      if (!ok) return false;
+    }
+
+    if (exts.length > 0) {
+      const ext = meta.ext ?? item.source.split(".").pop().toLowerCase();
+      if (!exts.includes(ext)) return false;
+    }
+
+    if (tags.length > 0) {
+      const have = meta.tags || [];
+      if (!tags.every((t) => have.includes(t))) return false;
+    }
+
+    if (after !== null || before !== null) {
+      const when = meta.date ?? meta.mtime;
+      const t = when ? new Date(when).getTime() : NaN;
+      if (Number.isNaN(t)) return false;
+      if (after !== null && t < after) return false;
+      if (before !== null && t >= before) return false;
+    }
+
+    return true;
+  };
+}
+
+/* ----------------------------- CLI ----------------------------- */
+
+// parseArgs() options + help text shared by the CLIs (ask, chat)
+export const FILTER_CLI_OPTIONS = {
+  source: { type: "string", multiple: true },
+  ext: { type: "string", multiple: true },
+  tag: { type: "string", multiple: true },
+  after: { type: "string" },
+  before: { type: "string" },
+};
+
+export const FILTER_CLI_USAGE = `Filters (applied before scoring; repeat flags to add values):
+  --source <glob>   path under data/, e.g. 'runbooks/**'
+  --ext <ext>       file extension, e.g. md
+  --tag <tag>       front-matter tag (all given tags required)
+  --after <date>    updated on/after YYYY-MM-DD (front-matter date, else mtime)
+  --before <date>   updated before YYYY-MM-DD`;
+
+export function filterFromCli(values) {
+  return {
+    source: values.source,
+    ext: values.ext,
+    tags: values.tag,
+    after: values.after,
+    before: values.before,
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * hnsw.js
+ * -------
+ * In-process HNSW (Hierarchical Navigable Small World) graph for approximate
+ * nearest-neighbour search over unit vectors (similarity = dot product).
+ *
+ * KT explanation:
+ * - Every vector is a node. Nodes get a random "level"; higher levels are sparse.
+ * - Search starts at the top level, greedily walks towards the query, then
+ *   drops a level and repeats. Level 0 holds every node.
+ * - Knobs:
+ *   M               links per node (higher = better recall, more memory)
+ *   efConstruction  candidate list size while building (higher = better graph, slower build)
+ *   efSearch        candidate list size while searching (higher = better recall, slower query)
+ *
+ * The graph stores row indices only; vectors come from the store's packed matrix.
+ */
+
+const DEFAULTS = { M: 16, efConstruction: 200, efSearch: 64, seed: 42 };
+
+export class HNSWIndex {
+  constructor({
+    M = DEFAULTS.M,
+    efConstruction = DEFAULTS.efConstruction,
+    efSearch = DEFAULTS.efSearch,
+    seed = DEFAULTS.seed,
+    entryPoint = -1,
+    maxLevel = -1,
+    links = [],
+  } = {}) {
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.seed = seed;
+    this.entryPoint = entryPoint;
+    this.maxLevel = maxLevel;
+    // links[node][level] = neighbour row indices
+    this.links = links;
+    this.matrix = null;
+    this.dim = 0;
+  }
+
+  static build(matrix, dim, opts = {}) {
+    const index = new HNSWIndex(opts);
+    index.attach(matrix, dim);
+    const random = mulberry32(index.seed);
+    const count = matrix.length / dim;
+    for (let i = 0; i < count; i++) index.insert(i, random);
+    return index;
+  }
+
+  static fromJSON(data) {
+    return new HNSWIndex(data);
+  }
+
+  toJSON() {
+    return {
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      seed: this.seed,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      links: this.links,
+    };
+  }
+
+  get size() {
+    return this.links.length;
+  }
+
+  attach(matrix, dim) {
+    this.matrix = matrix;
+    this.dim = dim;
+    return this;
+  }
+
+  sim(q, node) {
+    const { matrix, dim } = this;
+    const off = node * dim;
+    let s = 0;
+    for (let j = 0; j < dim; j++) s += q[j] * matrix[off + j];
+    return s;
+  }
+
+  row(node) {
+    return this.matrix.subarray(node * this.dim, (node + 1) * this.dim);
+  }
+
+  insert(node, random) {
+    const mL = 1 / Math.log(this.M);
+    const level = Math.floor(-Math.log(1 - random()) * mL);
+    this.links[node] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    const q = this.row(node);
+    let ep = this.entryPoint;
+
+    // Greedy descent through levels above the node's own level
+    for (let l = this.maxLevel; l > level; l--) {
+      ep = this.greedy(q, ep, l);
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(q, [ep], this.efConstruction, l);
+      const maxLinks = l === 0 ? this.M * 2 : this.M;
+      const neighbours = this.selectNeighbours(candidates, this.M);
+      this.links[node][l] = neighbours.map((c) => c.node);
+
+      for (const { node: nb } of neighbours) {
+        const nbLinks = this.links[nb][l];
+        nbLinks.push(node);
+        if (nbLinks.length > maxLinks) {
+          const nbRow = this.row(nb);
+          const scored = nbLinks.map((n) => ({
+            node: n,
+            sim: this.sim(nbRow, n),
+          }));
+          scored.sort((a, b) => b.sim - a.sim);
+          this.links[nb][l] = this.selectNeighbours(scored, maxLinks).map(
+            (c) => c.node
+          );
+        }
+      }
+      ep = candidates[0].node;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  greedy(q, ep, level) {
+    let best = ep;
+    let bestSim = this.sim(q, ep);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const nb of this.links[best][level] || []) {
+        const s = this.sim(q, nb);
+        if (s > bestSim) {
+          bestSim = s;
+          best = nb;
+          improved = true;
+        }
+      }
+    }
+    return best;
+  }
+
+  // Returns up to `ef` nodes closest to q on `level`, best first
+  searchLayer(q, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap((a, b) => a.sim > b.sim); // best first
+    const results = new Heap((a, b) => a.sim < b.sim); // worst first
+
+    for (const ep of entryPoints) {
+      const e = { node: ep, sim: this.sim(q, ep) };
+      candidates.push(e);
+      results.push(e);
+    }
+
+    while (candidates.size > 0) {
+      const c = candidates.pop();
+      if (results.size >= ef && c.sim < results.peek().sim) break;
+
+      for (const nb of this.links[c.node][level] || []) {
+        if (visited.has(nb)) continue;
+        visited.add(nb);
+
+        const s = this.sim(q, nb);
+        if (results.size < ef || s > results.peek().sim) {
+          const e = { node: nb, sim: s };
+          candidates.push(e);
+          results.push(e);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.toArray().sort((a, b) => b.sim - a.sim);
+  }
+
+  /**
+   * Neighbour selection heuristic (HNSW paper, alg. 4): skip a candidate if it
+   * is closer to an already-picked neighbour than to the base node. Keeps links
+   * spread out so the graph stays navigable across clusters.
+   */
+  selectNeighbours(candidates, m) {
+    const picked = [];
+    const skipped = [];
+    for (const c of candidates) {
+      if (picked.length >= m) break;
+      const cRow = this.row(c.node);
+      const dominated = picked.some((p) => this.sim(cRow, p.node) > c.sim);
+      if (dominated) skipped.push(c);
+      else picked.push(c);
+    }
+    // Top up with the closest skipped ones so nodes aren't under-linked
+    for (const c of skipped) {
+      if (picked.length >= m) break;
+      picked.push(c);
+    }
+    return picked;
+  }
+
+  // Returns [{ index, score }] best first
+  search(q, { topK = 8, ef = this.efSearch } = {}) {
+    if (this.entryPoint === -1) return [];
+
+    let ep = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) ep = this.greedy(q, ep, l);
+
+    return this.searchLayer(q, [ep], Math.max(ef, topK), 0)
+      .slice(0, topK)
+      .map((c) => ({ index: c.node, score: c.sim }));
+  }
+}
+
+// Binary heap; `before(a, b)` true when a should come out first
+class Heap {
+  constructor(before) {
+    this.before = before;
+    this.data = [];
+  }
+
+  get size() {
+    return this.data.length;
+  }
+
+  peek() {
+    return this.data[0];
+  }
+
+  push(x) {
+    const { data, before } = this;
+    data.push(x);
+    let i = data.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(data[i], data[parent])) break;
+      [data[i], data[parent]] = [data[parent], data[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { data, before } = this;
+    const top = data[0];
+    const last = data.pop();
+    if (data.length > 0) {
+      data[0] = last;
+      let i = 0;
+      while (true) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < data.length && before(data[l], data[best])) best = l;
+        if (r < data.length && before(data[r], data[best])) best = r;
+        if (best === i) break;
+        [data[i], data[best]] = [data[best], data[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+
+  toArray() {
+    return [...this.data];
+  }
+}
+
+// Small seeded PRNG so the same corpus always builds the same graph
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
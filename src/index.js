@@ -1,44 +1,141 @@
-import { loadAndChunkDocs } from "./loadDocs.js";
-import { LocalVectorStore } from "./vectorStore.js";
-import { embedTexts } from "./embed.js";
+/**
+ * index.js (CLI)
+ * --------------
+ * npm run index              build / update the index once
+ * npm run index -- --watch   keep it in sync with data/ until Ctrl+C
+ * npm run index -- info      print the index manifest and check it against
+ *                            the current embedding settings
+ *
+ * All three take --collection <name> (repeatable, or "all") to work on
+ * named collections from collections.json instead of data/ (see
+ * collections.js); each collection has its own index file.
+ */
 
-const INDEX_PATH = "index/store.json";
+import { parseArgs } from "node:util";
 
-async function main() {
-  console.log("Loading + chunking docs...");
-  const chunks = await loadAndChunkDocs({
-    dataDir: "data",
-    exts: ["txt", "md"],
-    chunk: { maxChars: 1200, overlapChars: 200 },
-  });
+import { buildIndex, watchIndex } from "./indexer.js";
+import { LocalVectorStore, checkManifest } from "./vectorStore.js";
+import { getEmbeddingProvider } from "./providers.js";
+import {
+  selectCollections,
+  COLLECTION_CLI_OPTIONS,
+  COLLECTION_CLI_USAGE,
+  DEFAULT_COLLECTION,
+} from "./collections.js";
+
+const USAGE = `Usage:
+  npm run index [-- --watch] [--collection name]
+  npm run index -- info [--collection name]
 
-  console.log(`Chunks: ${chunks.length}`);
-  const store = new LocalVectorStore([]);
+${COLLECTION_CLI_USAGE}`;
 
-  // Batch embeddings to reduce requests
-  const BATCH = 64;
+// Corpus options for buildIndex() / watchIndex()
+function corpusOf({ name, dataDir, include, indexPath, chunk, chunkers }) {
+  return {
+    collection: name === DEFAULT_COLLECTION ? null : name,
+    dataDir,
+    include,
+    indexPath,
+    chunk,
+    chunkers,
+  };
+}
+
+function printSummary(collection, { store, summary, saved }) {
+  const status = saved ? "Saved index" : "Index unchanged";
+  console.log(`✅ ${status}: ${collection.indexPath}`, {
+    ...(collection.name !== DEFAULT_COLLECTION && {
+      collection: collection.name,
+    }),
+    added: summary.added.length,
+    updated: summary.updated.length,
+    removed: summary.removed.length,
+    skipped: summary.skipped.length,
+    ...(summary.failed.length > 0 && { failed: summary.failed.length }),
+    chunks: store.items.length,
+  });
+  for (const key of ["added", "updated", "removed", "failed"]) {
+    for (const file of summary[key]) console.log(`  ${key}: ${file}`);
+  }
+}
 
-  for (let i = 0; i < chunks.length; i += BATCH) {
-    const batch = chunks.slice(i, i + BATCH);
-    const vectors = await embedTexts(batch.map((c) => c.content));
+async function printInfo({ indexPath }) {
+  const store = await LocalVectorStore.load(indexPath);
+  const embedModel = getEmbeddingProvider().model;
 
-    batch.forEach((c, idx) => {
-      store.add({
-        id: c.id,
-        source: c.source,
-        chunkIndex: c.chunkIndex,
-        content: c.content,
-        embeddingUnit: vectors[idx],
-      });
+  if (!store.manifest) {
+    console.log(`⚠️ ${indexPath} has no manifest; re-run "npm run index".`, {
+      embedModel: store.embedModel,
+      dimensions: store.dimensions(),
+      chunks: store.items.length,
     });
+    return;
+  }
 
+  console.log(`📦 ${indexPath}`);
+  console.log(JSON.stringify(store.manifest, null, 2));
+
+  const problems = checkManifest(store.manifest, { embedModel });
+  if (problems.length === 0) {
     console.log(
-      `Embedded ${Math.min(i + BATCH, chunks.length)}/${chunks.length}`
+      `✅ Compatible with the current embedding model (${embedModel})`
+    );
+  } else {
+    for (const p of problems) console.log(`❌ ${p}`);
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  let cli;
+  let collections;
+  try {
+    cli = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: { ...COLLECTION_CLI_OPTIONS, watch: { type: "boolean" } },
+    });
+    collections = await selectCollections(cli.values.collection);
+  } catch (err) {
+    console.log(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const { values, positionals } = cli;
+
+  if (positionals[0] === "info") {
+    for (const collection of collections) await printInfo(collection);
+    return;
+  }
+  if (positionals.length > 0) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (!values.watch) {
+    // One at a time: they share the embedding cache and rate limits
+    for (const collection of collections) {
+      printSummary(collection, await buildIndex(corpusOf(collection)));
+    }
+    return;
+  }
+
+  const watchers = [];
+  for (const collection of collections) {
+    watchers.push(
+      await watchIndex({
+        ...corpusOf(collection),
+        onBuild: (result) => printSummary(collection, result),
+      })
     );
   }
 
-  await store.save(INDEX_PATH);
-  console.log(`✅ Saved index: ${INDEX_PATH}`);
+  const shutdown = async () => {
+    console.log("Stopping watch (finishing the current build)...");
+    await Promise.all(watchers.map((w) => w.close()));
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
 }
 
 main().catch((e) => {
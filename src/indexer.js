@@ -0,0 +1,447 @@
+import fs from "node:fs";
+import path from "node:path";
+import { minimatch } from "minimatch";
+
+import {
+  listDocFiles,
+  chunkRedacted,
+  chunkConfigFor,
+  hashContent,
+  readDoc,
+} from "./loadDocs.js";
+import { loaderExtensions, extOf } from "./loaders.js";
+import { LocalVectorStore } from "./vectorStore.js";
+import { embedTexts } from "./embed.js";
+import { getEmbeddingProvider } from "./providers.js";
+import { Cache, cacheKey, packVector, unpackVector } from "./cache.js";
+import { withRetry } from "./resilience.js";
+import { isAclSidecar } from "./acl.js";
+import { saveJSON } from "./lib.js";
+import { createRedactor, redactionConfigFromEnv, addCounts } from "./redact.js";
+
+/**
+ * indexer.js
+ * ----------
+ * Incremental indexing: data/ -> load -> redact -> chunk -> embed -> index/store.json.
+ * Only added/changed files are re-embedded; deleted files are dropped.
+ * Used by the CLI (index.js) and the HTTP server's POST /reindex.
+ * watchIndex() keeps the index in sync while files change (index --watch).
+ */
+
+export const INDEX_PATH = "index/store.json";
+
+export const DATA_DIR = "data";
+// Every extension with a registered loader (see loaders.js)
+export const EXTS = loaderExtensions();
+// Chunk sizes in tokens (see tokens.js); the "chars" strategy ignores these
+const CHUNK = {
+  maxTokens: Number(process.env.RAG_CHUNK_MAX_TOKENS || 300),
+  overlapTokens: Number(process.env.RAG_CHUNK_OVERLAP_TOKENS || 50),
+};
+
+// Per-extension chunker overrides (see chunkers.js); unlisted extensions use
+// their loader's preferred chunker, e.g. { txt: "chars" }
+const CHUNKERS = {};
+
+// PII / secret redaction before chunking (see redact.js): RAG_REDACT,
+// RAG_REDACT_DETECTORS, RAG_REDACT_PATTERNS
+const REDACTION = redactionConfigFromEnv();
+// What was redacted, per file; written next to the index on every build
+const REDACTION_REPORT = "redaction-report.json";
+
+// Bump when the per-chunk metadata shape changes (forces a full re-index)
+const METADATA_VERSION = 3;
+
+// Batch embeddings to reduce requests
+const BATCH = 64;
+// Watch mode: wait this long after the last file event before re-indexing
+const WATCH_DEBOUNCE_MS = Number(process.env.RAG_WATCH_DEBOUNCE_MS || 500);
+
+// Persist embedded chunks every N batches (see embedChunks)
+const CHECKPOINT_EVERY = Number(process.env.RAG_INDEX_CHECKPOINT_EVERY || 10);
+
+// On-disk vector precision: "float32" (exact) or "int8" (~4x smaller).
+// Unset keeps what the index already uses (float32 for a new one).
+const QUANTIZATION = process.env.RAG_INDEX_QUANTIZATION || null;
+
+// Approximate search (HNSW). Small stores are faster to scan exactly,
+// so the graph is only built from RAG_ANN_MIN_ITEMS chunks upwards.
+const ANN = {
+  enabled: (process.env.RAG_ANN ?? "true") === "true",
+  minItems: Number(process.env.RAG_ANN_MIN_ITEMS || 5000),
+  M: Number(process.env.RAG_HNSW_M || 16),
+  efConstruction: Number(process.env.RAG_HNSW_EF_CONSTRUCTION || 200),
+  efSearch: Number(process.env.RAG_HNSW_EF_SEARCH || 64),
+};
+
+async function loadExistingStore(indexPath) {
+  try {
+    return await LocalVectorStore.load(indexPath);
+  } catch (err) {
+    if (err.code === "ENOENT") return new LocalVectorStore([]);
+    throw err;
+  }
+}
+
+/**
+ * Chunk embeddings are cached by (model, content) in the "index-embeddings"
+ * namespace, so re-chunking, settings changes and files that move or revert
+ * only pay for text that was never embedded before.
+ *
+ * The cache doubles as the checkpoint: it is saved every CHECKPOINT_EVERY
+ * batches (appending just the new vectors, see cache.js), so a run
+ * interrupted by a crash, Ctrl+C or exhausted retries resumes from the last
+ * checkpoint. Batches go through resilience.js (retries +
+ * client-side rate / concurrency limits) and run in parallel up to
+ * RAG_MAX_CONCURRENCY.
+ */
+async function embedChunks(chunks, { log, embedModel }) {
+  const cache = await Cache.open("index-embeddings");
+  const keys = chunks.map((c) => cacheKey("chunk", embedModel, c.content));
+  const vectors = keys.map((k) => {
+    const packed = cache.get(k);
+    return packed ? unpackVector(packed) : null;
+  });
+  const misses = chunks.map((_, i) => i).filter((i) => !vectors[i]);
+
+  if (misses.length < chunks.length) {
+    log(`Reused ${chunks.length - misses.length} cached chunk embeddings`);
+  }
+
+  const batches = [];
+  for (let i = 0; i < misses.length; i += BATCH) {
+    batches.push(misses.slice(i, i + BATCH));
+  }
+
+  // Saves are chained so two checkpoints never write at the same time
+  let checkpoint = Promise.resolve();
+  let done = 0;
+  let batchesDone = 0;
+  // After a batch fails for good, queued batches are skipped, not sent
+  let failure = null;
+  await Promise.allSettled(
+    batches.map(async (batch) => {
+      let fetched;
+      try {
+        fetched = await withRetry(
+          () => {
+            if (failure) throw failure;
+            return embedTexts(batch.map((j) => chunks[j].content));
+          },
+          { label: "index embeddings", shouldRetry: () => !failure }
+        );
+      } catch (err) {
+        failure ??= err;
+        throw err;
+      }
+
+      batch.forEach((j, idx) => {
+        vectors[j] = fetched[idx];
+        cache.set(keys[j], packVector(fetched[idx]));
+      });
+
+      done += batch.length;
+      batchesDone++;
+      log(`Embedded ${done}/${misses.length}`);
+      if (
+        batchesDone % CHECKPOINT_EVERY === 0 &&
+        batchesDone < batches.length
+      ) {
+        checkpoint = checkpoint.then(() => cache.save());
+      }
+    })
+  );
+
+  // Keep what was paid for, even if some batches failed
+  await checkpoint;
+  await cache.save();
+
+  if (failure) {
+    log(`Embedding stopped at ${done}/${misses.length}; re-run to resume.`);
+    throw failure;
+  }
+
+  return chunks.map((c, i) => ({ ...c, embeddingUnit: vectors[i] }));
+}
+
+/**
+ * buildIndex()
+ * Returns { store, summary, saved } where summary lists added / updated /
+ * removed / skipped / failed files. saved is false when nothing changed
+ * (same files, same settings), in which case indexPath isn't rewritten. A file its loader can't read (corrupt PDF...)
+ * is logged and listed as failed; it keeps the chunks it had, or stays out
+ * of the index if it is new, and is retried on the next build.
+ * `log` receives progress lines (console.log by default).
+ * - store:   index to update instead of loading indexPath (watch mode keeps
+ *            the last build in memory)
+ * - changed: Set of file paths known to have changed; other already-indexed
+ *            files are assumed unchanged and not even read. New and deleted
+ *            files are always picked up by the directory scan.
+ * - collection, include, chunk, chunkers: per-collection overrides (see
+ *            collections.js); default is the env-configured data/ corpus
+ * - redaction: { mode, detectors, patterns } (default: RAG_REDACT* env)
+ */
+export async function buildIndex({
+  indexPath = INDEX_PATH,
+  dataDir = DATA_DIR,
+  include,
+  chunk = CHUNK,
+  chunkers = CHUNKERS,
+  collection = null,
+  redaction = REDACTION,
+  log = console.log,
+  store: current,
+  changed,
+} = {}) {
+  const embedder = getEmbeddingProvider();
+  const embedModel = embedder.model;
+  const settings = {
+    chunk,
+    chunkers,
+    embedModel,
+    metadataVersion: METADATA_VERSION,
+    // Only recorded when set, so existing indexes don't look stale
+    ...(include?.length && { include }),
+    ...(redaction.mode !== "off" && { redaction }),
+  };
+  const redactor = createRedactor(redaction);
+  const store = current || (await loadExistingStore(indexPath));
+
+  // Chunking settings or embedding model changed -> every file's chunks are stale
+  const settingsChanged =
+    JSON.stringify(store.settings) !== JSON.stringify(settings);
+  if (settingsChanged && store.items.length > 0) {
+    log("Index settings changed; re-indexing all files.");
+  }
+
+  log("Scanning docs...");
+  const files = await listDocFiles({ dataDir, exts: EXTS, include });
+  const summary = {
+    added: [],
+    updated: [],
+    removed: [],
+    skipped: [],
+    failed: [],
+  };
+
+  // 1) Find added / changed files
+  const pending = [];
+  let metaPatched = false;
+  for (const file of files) {
+    const prev = store.files[file];
+    if (changed && !changed.has(file) && prev && !settingsChanged) {
+      summary.skipped.push(file);
+      continue;
+    }
+
+    let doc;
+    try {
+      doc = await readDoc(file, { dataDir });
+    } catch (err) {
+      log(
+        `Could not read ${file}; ${prev ? "keeping its old chunks" : "skipping it"}`,
+        {
+          error: err.message,
+        }
+      );
+      summary.failed.push(file);
+      continue;
+    }
+    const { raw, segments, meta } = doc;
+    const hash = hashContent(raw);
+
+    if (prev && prev.hash === hash && !settingsChanged) {
+      // Content unchanged, but keep mtime current for date filters and
+      // groups current when only an ACL sidecar changed
+      if (
+        store.patchSourceMeta(file, { mtime: meta.mtime, groups: meta.groups })
+      ) {
+        metaPatched = true;
+      }
+      summary.skipped.push(file);
+      continue;
+    }
+
+    const known = Boolean(prev) || store.items.some((it) => it.source === file);
+    (known ? summary.updated : summary.added).push(file);
+    const chunkConfig = chunkConfigFor(file, { chunk, chunkers });
+    const { chunks, redactions } = chunkRedacted(
+      file,
+      segments,
+      chunkConfig,
+      meta,
+      redactor
+    );
+    pending.push({ file, hash, chunks, redactions });
+  }
+
+  // 2) Drop chunks for files that no longer exist
+  const present = new Set(files);
+  for (const source of store.sources()) {
+    if (present.has(source)) continue;
+    store.removeBySource(source);
+    summary.removed.push(source);
+  }
+
+  // Nothing changed and the index already records this build's settings:
+  // leave it alone instead of writing a new generation (watch mode sees
+  // plenty of events that change nothing)
+  const wantAnn = ANN.enabled && store.items.length >= ANN.minItems;
+  const upToDate =
+    pending.length === 0 &&
+    summary.removed.length === 0 &&
+    !metaPatched &&
+    !settingsChanged &&
+    !store.legacy &&
+    store.manifest?.embedProvider === embedder.name &&
+    store.manifest?.collection === collection &&
+    (!QUANTIZATION || QUANTIZATION === store.quantization) &&
+    wantAnn === Boolean(store.ann);
+  if (upToDate) {
+    log("Index is up to date; nothing to save.");
+    return { store, summary, saved: false };
+  }
+
+  // 3) Embed only what changed
+  const chunks = pending.flatMap((p) => p.chunks);
+  log(`Chunks to embed: ${chunks.length}`);
+  const items = await embedChunks(chunks, { log, embedModel });
+
+  for (const p of pending) {
+    const fileItems = items.filter((it) => it.source === p.file);
+    store.replaceSource(p.file, fileItems, {
+      hash: p.hash,
+      ...(Object.keys(p.redactions).length > 0 && {
+        redactions: p.redactions,
+      }),
+    });
+  }
+
+  store.settings = settings;
+  store.embedModel = embedModel;
+  if (QUANTIZATION) store.quantization = QUANTIZATION;
+
+  if (!ANN.enabled || store.items.length < ANN.minItems) {
+    store.ann = null;
+  } else if (!store.ann) {
+    log("Building HNSW graph...", { chunks: store.items.length });
+    const t0 = Date.now();
+    store.buildAnnIndex({
+      M: ANN.M,
+      efConstruction: ANN.efConstruction,
+      efSearch: ANN.efSearch,
+    });
+    log(`HNSW built in ${Date.now() - t0}ms`);
+  }
+  store.stampManifest({ embedProvider: embedder.name, collection });
+  await store.save(indexPath);
+  await writeRedactionReport(store, { indexPath, redaction, log });
+
+  return { store, summary, saved: true };
+}
+
+/**
+ * Lists what was redacted (detector counts, never the values) for every
+ * indexed file. Counts live in store.files, so files skipped by an
+ * incremental build keep theirs.
+ */
+async function writeRedactionReport(store, { indexPath, redaction, log }) {
+  const files = {};
+  const totals = {};
+  for (const [file, info] of Object.entries(store.files)) {
+    if (!info.redactions) continue;
+    files[file] = info.redactions;
+    addCounts(totals, info.redactions);
+  }
+
+  const reportPath = path.join(path.dirname(indexPath), REDACTION_REPORT);
+  await saveJSON(reportPath, {
+    generatedAt: new Date().toISOString(),
+    mode: redaction.mode,
+    totals,
+    files,
+  });
+  if (Object.keys(files).length > 0) {
+    log(
+      `Redacted in ${Object.keys(files).length} file(s): ${reportPath}`,
+      totals
+    );
+  }
+}
+
+/**
+ * watchIndex()
+ * Builds once, then watches dataDir (recursively) and re-indexes after
+ * changes settle for `debounceMs`. Only files with a registered loader
+ * extension count; paths without an extension (directories being created,
+ * moved or deleted) trigger a rescan too, and a changed ACL sidecar (see
+ * acl.js) re-reads every file, since it can cover a whole directory. Builds never overlap: changes that
+ * arrive during a build are picked up by the next one.
+ *
+ * Each build saves through LocalVectorStore.save(), which swaps store.json
+ * in atomically, so a concurrent `ask` or server reload never reads a
+ * half-written index. Takes buildIndex()'s corpus options (indexPath,
+ * dataDir, include, chunk, chunkers, collection). Returns { close() }.
+ */
+export async function watchIndex({
+  debounceMs = WATCH_DEBOUNCE_MS,
+  log = console.log,
+  onBuild = () => {},
+  ...corpus
+} = {}) {
+  const { dataDir = DATA_DIR, include } = corpus;
+  let { store, ...result } = await buildIndex({ ...corpus, log });
+  onBuild({ store, ...result });
+
+  const pending = new Set();
+  let rereadAll = false;
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const rebuild = async () => {
+    const changed = rereadAll ? undefined : new Set(pending);
+    pending.clear();
+    rereadAll = false;
+    try {
+      ({ store, ...result } = await buildIndex({
+        ...corpus,
+        log,
+        store,
+        changed,
+      }));
+      onBuild({ store, ...result });
+    } catch (err) {
+      // The in-memory store may be half-updated; start from disk next time
+      store = undefined;
+      log(`Re-index failed: ${err.message}`);
+    }
+  };
+
+  const watcher = fs.watch(dataDir, { recursive: true }, (event, name) => {
+    if (!name) return;
+    const file = path.join(dataDir, name);
+    const ext = extOf(file);
+    if (isAclSidecar(file)) {
+      rereadAll = true;
+    } else if (ext) {
+      if (!EXTS.includes(ext)) return;
+      const rel = name.split(path.sep).join("/");
+      if (include?.length && !include.some((g) => minimatch(rel, g))) return;
+      pending.add(file);
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      queue = queue.then(rebuild);
+    }, debounceMs);
+  });
+  log(`Watching ${dataDir} for changes (${EXTS.join(", ")})...`);
+
+  return {
+    async close() {
+      watcher.close();
+      clearTimeout(timer);
+      await queue;
+    },
+  };
+}
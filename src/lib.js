@@ -3,7 +3,13 @@ import fs from "node:fs/promises";
 import path from "node:path";
 import OpenAI from "openai";
 
-export const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+export function createOpenAIClient({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL,
+} = {}) {
+  // Retries are handled by resilience.js (one layer, shared limits)
+  return new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+}
 
 export function normalizeText(s) {
   return s
@@ -12,6 +18,18 @@ export function normalizeText(s) {
     .trim();
 }
 
+// Lowercased word tokens (keeps identifiers like "ERR_42" or "v1.2" intact)
+export function tokenize(s) {
+  return (
+    s.toLowerCase().match(/[\p{L}\p{N}_]+(?:[.\-][\p{L}\p{N}_]+)*/gu) || []
+  );
+}
+
+// Word-sized pieces (whitespace attached) for streaming text that arrived whole
+export function streamPieces(text) {
+  return text.match(/\S+\s*|\s+/g) || [];
+}
+
 export function chunkText(text, { maxChars = 1200, overlapChars = 200 } = {}) {
   // Simple, robust chunker (character-based).
   // For production, switch to token-based chunking.
@@ -49,9 +67,26 @@ export function cosineSimUnitVectors(aUnit, bUnit) {
   return dot(aUnit, bUnit);
 }
 
-export async function saveJSON(filePath, obj) {
+// Write to a temp file, then rename: readers never see a half-written file
+export async function writeFileAtomic(filePath, data) {
   await fs.mkdir(path.dirname(filePath), { recursive: true });
-  await fs.writeFile(filePath, JSON.stringify(obj, null, 2), "utf-8");
+  const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(
+      tmp,
+      data,
+      typeof data === "string" ? "utf-8" : undefined
+    );
+    await fs.rename(tmp, filePath);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+export async function saveJSON(filePath, obj, { pretty = true } = {}) {
+  const json = pretty ? JSON.stringify(obj, null, 2) : JSON.stringify(obj);
+  await writeFileAtomic(filePath, json);
 }
 
 export async function loadJSON(filePath) {
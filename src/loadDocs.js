@@ -1,28 +1,217 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import crypto from "node:crypto";
 import { glob } from "glob";
-import { chunkText } from "./lib.js";
+import { getChunker } from "./chunkers.js";
+import { getLoader, extOf, loaderExtensions } from "./loaders.js";
+import { readAclGroups, normalizeGroups } from "./acl.js";
+import { DROP_MARKER, addCounts } from "./redact.js";
 
-export async function loadAndChunkDocs({
+// include: optional globs relative to dataDir (e.g. ["policies/**"]); only
+// files that match one AND have a loader extension are listed. Extensions
+// match in any case (REPORT.PDF, Notes.MD)
+export async function listDocFiles({
   dataDir = "data",
-  exts = ["txt", "md"],
-  chunk = { maxChars: 1200, overlapChars: 200 },
+  exts = loaderExtensions(),
+  include,
 } = {}) {
-  const patterns = exts.map((e) => path.join(dataDir, `**/*.${e}`));
-  const files = (await glob(patterns, { nodir: true })).sort();
+  const patterns = include?.length
+    ? include.map((g) => path.join(dataDir, g))
+    : [path.join(dataDir, "**/*")];
+  const files = await glob(patterns, { nodir: true });
+  return files.filter((f) => exts.includes(extOf(f))).sort();
+}
 
-  const chunks = [];
-  for (const file of files) {
-    const text = await fs.readFile(file, "utf-8");
-    const parts = chunkText(text, chunk);
-    parts.forEach((content, idx) => {
-      chunks.push({
+export function hashContent(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Per-file metadata stored on every chunk (used by retrieval filters).
+ * `path` is relative to dataDir with forward slashes, e.g. "runbooks/billing.md".
+ */
+export function fileMetadata(file, { dataDir = "data", mtime, docMeta = {} }) {
+  const rel = path.relative(dataDir, file).split(path.sep).join("/");
+  const tags = docMeta.tags ?? docMeta.tag ?? [];
+  const groups = normalizeGroups(docMeta.groups);
+
+  return {
+    path: rel,
+    dirs: rel.split("/").slice(0, -1),
+    ext: extOf(file),
+    mtime: mtime ? new Date(mtime).toISOString() : null,
+    title: docMeta.title ?? null,
+    tags: (Array.isArray(tags) ? tags : String(tags).split(","))
+      .map((t) => t.trim().toLowerCase())
+      .filter(Boolean),
+    date: docMeta.updated ?? docMeta.date ?? null,
+    // Allowed groups (see acl.js); absent = public
+    ...(groups.length > 0 && { groups }),
+    // Structural extras from the loader (only present when known)
+    ...(docMeta.language && { language: docMeta.language }),
+    ...(docMeta.pages && { pages: docMeta.pages }),
+    ...(docMeta.headings?.length > 0 && { headings: docMeta.headings }),
+  };
+}
+
+/**
+ * Reads a file through the loader registered for its extension (loaders.js).
+ * `raw` is the untouched bytes (hashed for incremental indexing).
+ * meta.groups comes from front matter or an ACL sidecar (see acl.js).
+ */
+export async function readDoc(file, { dataDir = "data" } = {}) {
+  const [raw, stat] = await Promise.all([fs.readFile(file), fs.stat(file)]);
+  const { segments, meta } = await getLoader(extOf(file)).load(raw, { file });
+  const groups = await readAclGroups(file, { dataDir, docMeta: meta });
+  return {
+    raw,
+    segments,
+    meta: fileMetadata(file, {
+      dataDir,
+      mtime: stat.mtimeMs,
+      docMeta: { ...meta, groups },
+    }),
+  };
+}
+
+/**
+ * segments: [{ text, meta?, line? }] from a loader (a plain string also works).
+ * chunk: { strategy: "chars" | "tokens" | "markdown" | "code", ...chunker options }
+ * Chunk indexes run across segments; segment meta (e.g. { page }) and the
+ * loader's chunkMeta hook (e.g. code symbols) are merged into each chunk's meta.
+ * Segments that carry a `line` also give each chunk `meta.lines: [start, end]`
+ * (1-based, inclusive) so citations can point into the file.
+ */
+export function chunkFile(file, segments, chunk, meta) {
+  const { strategy, ...opts } = chunk;
+  const chunker = getChunker(strategy);
+  const { chunkMeta } = getLoader(extOf(file));
+  if (typeof segments === "string") segments = [{ text: segments }];
+
+  const items = [];
+  for (const seg of segments) {
+    const segLines = seg.line != null ? seg.text.split("\n").map(squash) : null;
+    let from = 0;
+
+    for (const content of chunker(seg.text, opts)) {
+      const idx = items.length;
+      const range = segLines && locateLines(segLines, content, from);
+      if (range) from = range[0];
+
+      items.push({
         id: `${file}#${idx}`,
         source: file,
         chunkIndex: idx,
         content,
+        ...(meta && {
+          meta: {
+            ...meta,
+            ...seg.meta,
+            ...(chunkMeta && chunkMeta(content)),
+            ...(range && {
+              lines: [seg.line + range[0], seg.line + range[1]],
+            }),
+          },
+        }),
       });
-    });
+    }
+  }
+  return items;
+}
+
+/**
+ * chunkFile() behind the redaction stage (see redact.js): findings are
+ * replaced in each segment before chunking, and in drop-chunk mode every
+ * chunk that contained one is dropped.
+ * Returns { chunks, redactions } with redactions = { [detector]: count }
+ * (+ droppedChunks); empty when nothing was found.
+ */
+export function chunkRedacted(file, segments, chunk, meta, redactor) {
+  if (!redactor || redactor.mode === "off") {
+    return { chunks: chunkFile(file, segments, chunk, meta), redactions: {} };
+  }
+  if (typeof segments === "string") segments = [{ text: segments }];
+
+  const redactions = {};
+  const clean = segments.map((seg) => {
+    const { text, counts } = redactor.redact(seg.text);
+    addCounts(redactions, counts);
+    return { ...seg, text };
+  });
+
+  let chunks = chunkFile(file, clean, chunk, meta);
+  if (redactor.mode === "drop-chunk") {
+    const kept = chunks.filter((c) => !c.content.includes(DROP_MARKER));
+    if (kept.length < chunks.length) {
+      redactions.droppedChunks = chunks.length - kept.length;
+    }
+    chunks = kept;
+  }
+  return { chunks, redactions };
+}
+
+// Chunkers may collapse whitespace, so lines are compared squashed
+function squash(line) {
+  return line.replace(/\s+/g, " ").trim();
+}
+
+function lineMatches(line, needle) {
+  if (line === needle) return true;
+  // Partial lines (long sentences split mid-line); headings never appear
+  // verbatim in chunks, so a breadcrumb must not match one
+  return needle.length >= 8 && !line.startsWith("#") && line.includes(needle);
+}
+
+/**
+ * Where a chunk sits in its segment: walks the chunk's lines in order,
+ * matching each against the segment from `from` on (chunks arrive in order,
+ * overlapping at most the previous one). Unmatched lines such as a markdown
+ * breadcrumb are skipped. Returns 0-based [first, last] or null.
+ */
+function locateLines(segLines, content, from) {
+  let first = -1;
+  let pos = from;
+
+  for (const needle of content.split("\n").map(squash)) {
+    if (!needle) continue;
+    for (let i = pos; i < segLines.length; i++) {
+      if (lineMatches(segLines[i], needle)) {
+        if (first === -1) first = i;
+        pos = i;
+        break;
+      }
+    }
+  }
+
+  return first === -1 ? null : [first, pos];
+}
+
+// Chunk options for a file: shared sizes + the strategy for its extension
+// (explicit `chunkers` override first, else the loader's preferred chunker)
+export function chunkConfigFor(file, { chunk, chunkers = {} }) {
+  const ext = extOf(file);
+  const override = Object.entries(chunkers).find(
+    ([e]) => e.toLowerCase() === ext
+  )?.[1];
+  return { ...chunk, strategy: override || getLoader(ext).chunker };
+}
+
+export async function loadAndChunkDocs({
+  dataDir = "data",
+  exts = loaderExtensions(),
+  chunk = { maxTokens: 300, overlapTokens: 50 },
+  chunkers = {},
+  redactor,
+} = {}) {
+  const files = await listDocFiles({ dataDir, exts });
+
+  const chunks = [];
+  for (const file of files) {
+    const { segments, meta } = await readDoc(file, { dataDir });
+    const config = chunkConfigFor(file, { chunk, chunkers });
+    chunks.push(
+      ...chunkRedacted(file, segments, config, meta, redactor).chunks
+    );
   }
 
   return chunks;
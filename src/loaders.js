@@ -0,0 +1,368 @@
+/**
+ * loaders.js
+ * ----------
+ * Document loaders keyed by file extension. A loader turns raw file bytes
+ * into clean text + structural metadata:
+ *
+ *   async (buffer, { file }) => {
+ *     segments: [{ text, meta?, line? }],   // chunked separately (e.g. one per PDF page);
+ *                                    // segment meta lands on each chunk (e.g. { page: 3 });
+ *                                    // `line` = file line the text starts on, set only when
+ *                                    // the text is the file's own lines (chunks get line ranges)
+ *     meta: { title?, tags?, date?, headings?, language?, pages? }   // per document
+ *   }
+ *
+ * Each registration also names the chunker that suits the output
+ * (index.js can still override per extension), and optionally a
+ * `chunkMeta(content)` hook for per-chunk metadata such as code symbols.
+ *
+ * Built-ins: txt, md, html, pdf, docx and common source-code extensions.
+ * Add more with registerLoader(["ext"], loader, { chunker }).
+ */
+
+import path from "node:path";
+
+const LOADERS = new Map(); // ext -> { load, chunker, chunkMeta }
+
+export function registerLoader(
+  exts,
+  load,
+  { chunker = "tokens", chunkMeta } = {}
+) {
+  for (const ext of [].concat(exts)) {
+    LOADERS.set(ext.toLowerCase(), { load, chunker, chunkMeta });
+  }
+}
+
+export function getLoader(ext) {
+  const loader = LOADERS.get(ext.toLowerCase());
+  if (!loader) throw new Error(`No loader registered for ".${ext}" files`);
+  return loader;
+}
+
+export function loaderExtensions() {
+  return [...LOADERS.keys()];
+}
+
+/* ----------------------------- Text / Markdown ----------------------------- */
+
+/**
+ * Minimal YAML front-matter reader (markdown):
+ *   ---
+ *   title: Billing runbook
+ *   tags: [billing, payments]     (or a "- item" list)
+ *   date: 2026-03-01
+ *   ---
+ * Only flat `key: value` pairs and string lists; anything fancier is kept as a string.
+ */
+export function parseFrontMatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!m) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      continue;
+    }
+
+    const kv = line.match(/^([A-Za-z0-9_-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+    const [, key, raw] = kv;
+    listKey = null;
+
+    if (raw === "") {
+      data[key] = [];
+      listKey = key;
+    } else if (raw.startsWith("[") && raw.endsWith("]")) {
+      data[key] = raw
+        .slice(1, -1)
+        .split(",")
+        .map((s) => unquote(s))
+        .filter(Boolean);
+    } else {
+      data[key] = unquote(raw);
+    }
+  }
+
+  return { data, body: text.slice(m[0].length) };
+}
+
+function unquote(s) {
+  return s.trim().replace(/^(["'])(.*)\1$/, "$2");
+}
+
+async function loadText(buffer) {
+  return { segments: [{ text: buffer.toString("utf-8"), line: 1 }], meta: {} };
+}
+
+async function loadMarkdown(buffer) {
+  const text = buffer.toString("utf-8");
+  const { data, body } = parseFrontMatter(text);
+  // Body starts after the front matter
+  const line = text.slice(0, text.length - body.length).split("\n").length;
+  return { segments: [{ text: body, line }], meta: data };
+}
+
+/* ----------------------------- HTML ----------------------------- */
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code =
+        e[1] === "x" || e[1] === "X"
+          ? parseInt(e.slice(2), 16)
+          : parseInt(e.slice(1), 10);
+      // Out of Unicode range or a lone surrogate: keep the entity as written
+      const valid = code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+      return valid ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const stripTags = (s) => s.replace(/<[^>]+>/g, "");
+const inlineText = (s) =>
+  decodeEntities(stripTags(s)).replace(/\s+/g, " ").trim();
+
+function tableToMarkdown(tableHtml) {
+  const rows = [...tableHtml.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)].map(
+    ([, row]) =>
+      [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) =>
+        inlineText(cell).replace(/\|/g, "\\|")
+      )
+  );
+  if (rows.length === 0) return "";
+
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (cells) =>
+    `| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(" | ")} |`;
+  return [
+    line(rows[0]),
+    line(Array(width).fill("---")),
+    ...rows.slice(1).map(line),
+  ].join("\n");
+}
+
+/**
+ * HTML -> markdown-ish text, so the markdown chunker can split on headings
+ * and keep <pre> blocks and tables intact. Deliberately simple: good enough
+ * for exported wiki pages, not a full HTML parser.
+ */
+export function htmlToMarkdown(html) {
+  const headings = [];
+  const protectedBlocks = [];
+  const protect = (text) => {
+    protectedBlocks.push(text);
+    return `\n\n\u0000${protectedBlocks.length - 1}\u0000\n\n`;
+  };
+
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  let s = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(
+      /<(script|style|noscript|head|nav|footer|svg)\b[\s\S]*?<\/\1>/gi,
+      ""
+    );
+
+  s = s.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_, body) =>
+    protect(
+      "```\n" + decodeEntities(stripTags(body)).replace(/\n+$/, "") + "\n```"
+    )
+  );
+  s = s.replace(/<table[^>]*>([\s\S]*?)<\/table>/gi, (_, body) =>
+    protect(tableToMarkdown(body))
+  );
+  s = s.replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, body) => {
+    const text = inlineText(body);
+    headings.push({ level: Number(level), text });
+    return `\n\n${"#".repeat(Number(level))} ${text}\n\n`;
+  });
+
+  s = s
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|section|article|ul|ol|blockquote|dl|dd|dt)>/gi, "\n\n");
+
+  s = decodeEntities(stripTags(s))
+    .split("\n")
+    .map((l) => l.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => protectedBlocks[Number(i)])
+    .trim();
+
+  return {
+    text: s,
+    title: title ? inlineText(title[1]) : (headings[0]?.text ?? null),
+    headings,
+  };
+}
+
+// Top-level outline only; the full hierarchy lives in each chunk's breadcrumb
+const outline = (headings) =>
+  headings
+    .filter((h) => h.level <= 2)
+    .slice(0, 20)
+    .map((h) => h.text);
+
+async function loadHtml(buffer) {
+  const { text, title, headings } = htmlToMarkdown(buffer.toString("utf-8"));
+  return {
+    segments: [{ text }],
+    meta: { title, headings: outline(headings) },
+  };
+}
+
+/* ----------------------------- DOCX ----------------------------- */
+
+// Word -> HTML (mammoth keeps Heading styles as <h1>..) -> markdown-ish text
+async function loadDocx(buffer) {
+  const { default: mammoth } = await import("mammoth");
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const { text, title, headings } = htmlToMarkdown(html);
+  return {
+    segments: [{ text }],
+    meta: { title, headings: outline(headings) },
+  };
+}
+
+/* ----------------------------- PDF ----------------------------- */
+
+// One segment per page so chunks can cite file#page
+async function loadPdf(buffer) {
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const segments = [];
+    for (let p = 1; p <= doc.numPages; p++) {
+      const page = await doc.getPage(p);
+      const content = await page.getTextContent();
+      const text = content.items
+        .map((it) => (it.str ?? "") + (it.hasEOL ? "\n" : ""))
+        .join("")
+        .replace(/[ \t]+\n/g, "\n")
+        .trim();
+      if (text) segments.push({ text, meta: { page: p } });
+    }
+
+    const { info } = await doc.getMetadata().catch(() => ({}));
+    return {
+      segments,
+      meta: { title: info?.Title || null, pages: doc.numPages },
+    };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/* ----------------------------- Source code ----------------------------- */
+
+const CODE_LANGUAGES = {
+  js: "javascript",
+  mjs: "javascript",
+  cjs: "javascript",
+  jsx: "javascript",
+  ts: "typescript",
+  tsx: "typescript",
+  py: "python",
+  go: "go",
+  java: "java",
+  kt: "kotlin",
+  cs: "csharp",
+  rb: "ruby",
+  rs: "rust",
+  php: "php",
+  sh: "shell",
+  sql: "sql",
+};
+
+// Top-level-ish declarations per language (first capture group = symbol name)
+const SYMBOL_PATTERNS = {
+  javascript: [
+    /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\*?\s+([A-Za-z_$][\w$]*)/gm,
+    /^\s*(?:export\s+)?(?:default\s+)?class\s+([A-Za-z_$][\w$]*)/gm,
+    /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/gm,
+  ],
+  typescript: [
+    /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\*?\s+([A-Za-z_$][\w$]*)/gm,
+    /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/gm,
+    /^\s*(?:export\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/gm,
+    /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s*)?(?:function|\([^)]*\)\s*(?::[^=]+)?=>)/gm,
+  ],
+  python: [/^\s*(?:async\s+)?def\s+(\w+)/gm, /^\s*class\s+(\w+)/gm],
+  go: [/^func\s+(?:\([^)]*\)\s*)?(\w+)/gm, /^type\s+(\w+)/gm],
+  java: [/\b(?:class|interface|enum|record)\s+(\w+)/gm],
+  kotlin: [
+    /\b(?:class|interface|object)\s+(\w+)/gm,
+    /\bfun\s+(?:<[^>]*>\s*)?(?:\w+\.)?(\w+)/gm,
+  ],
+  csharp: [/\b(?:class|interface|enum|struct|record)\s+(\w+)/gm],
+  ruby: [
+    /^\s*def\s+(?:self\.)?(\w+[?!]?)/gm,
+    /^\s*(?:class|module)\s+([\w:]+)/gm,
+  ],
+  rust: [
+    /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+(\w+)/gm,
+    /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait)\s+(\w+)/gm,
+  ],
+  php: [/\bfunction\s+(\w+)/gm, /\b(?:class|interface|trait)\s+(\w+)/gm],
+  shell: [/^\s*(?:function\s+)?(\w+)\s*\(\)\s*\{/gm],
+  sql: [
+    /\bcreate\s+(?:or\s+replace\s+)?(?:table|view|function|procedure)\s+([\w.]+)/gim,
+  ],
+};
+
+export function extractSymbols(code, language) {
+  const names = new Set();
+  for (const re of SYMBOL_PATTERNS[language] || []) {
+    for (const m of code.matchAll(re)) names.add(m[1]);
+  }
+  return [...names];
+}
+
+function codeLoader(language) {
+  return async (buffer) => {
+    const text = buffer.toString("utf-8");
+    return { segments: [{ text, line: 1 }], meta: { language } };
+  };
+}
+
+/* ----------------------------- Registry ----------------------------- */
+
+registerLoader(["txt"], loadText, { chunker: "tokens" });
+registerLoader(["md", "markdown"], loadMarkdown, { chunker: "markdown" });
+registerLoader(["html", "htm"], loadHtml, { chunker: "markdown" });
+registerLoader(["docx"], loadDocx, { chunker: "markdown" });
+registerLoader(["pdf"], loadPdf, { chunker: "tokens" });
+for (const [ext, language] of Object.entries(CODE_LANGUAGES)) {
+  registerLoader([ext], codeLoader(language), {
+    chunker: "code",
+    chunkMeta: (content) => ({ symbols: extractSymbols(content, language) }),
+  });
+}
+
+export function extOf(file) {
+  return path.extname(file).slice(1).toLowerCase();
+}
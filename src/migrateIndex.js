@@ -0,0 +1,62 @@
+/**
+ * migrateIndex.js
+ * ---------------
+ * Converts an old single-file JSON index (floats inline) into the
+ * metadata + binary vector layout. Safe to re-run; already-migrated
+ * stores are just re-saved with the requested quantization.
+ *
+ * Usage:
+ *   npm run migrate-index -- [index/store.json] [--int8]
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { LocalVectorStore } from "./vectorStore.js";
+import { loadJSON } from "./lib.js";
+
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const indexPath = args.find((a) => !a.startsWith("--")) || "index/store.json";
+  const quantization = args.includes("--int8") ? "int8" : "float32";
+
+  const before = await fileSize(indexPath);
+  const store = await LocalVectorStore.load(indexPath);
+  console.log(
+    store.legacy
+      ? "Legacy JSON index found; migrating..."
+      : "Re-saving index...",
+    { chunks: store.items.length, dimensions: store.dimensions() }
+  );
+
+  if (!store.embedModel) {
+    // Old layout never recorded the model; the old default is the best guess
+    store.embedModel =
+      store.settings?.embedModel ||
+      process.env.RAG_EMBED_MODEL ||
+      "text-embedding-3-small";
+  }
+  store.quantization = quantization;
+  await store.save(indexPath);
+
+  const { header } = await loadJSON(indexPath);
+  const vecPath = path.join(path.dirname(indexPath), header.vectorsFile);
+  const after = (await fileSize(indexPath)) + (await fileSize(vecPath));
+  console.log(`✅ Saved ${indexPath} + ${vecPath}`, {
+    quantization,
+    bytesBefore: before,
+    bytesAfter: after,
+  });
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
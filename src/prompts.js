@@ -1,8 +1,14 @@
+// What the model must say when the context doesn't answer the question
+export const ABSTENTION = "I don't know from the provided documents.";
+
 export const ANSWER_INSTRUCTIONS = `
 You are a careful assistant. Answer ONLY using the provided CONTEXT.
-If the answer is not in the context, say: "I don't know from the provided documents."
-Cite sources inline like: [source: filename#chunkIndex].
+If the answer is not in the context, say: "${ABSTENTION}"
+Cite sources inline with the label shown above each passage, copied exactly,
+like: [source: filename#chunkIndex] or [source: filename#3-5].
 Keep the answer clear and structured.
+If a CONVERSATION SO FAR section is given, use it only to understand what the
+question refers to; facts must still come from the CONTEXT.
 `;
 
 export const MULTI_QUERY_INSTRUCTIONS = `
@@ -20,3 +26,28 @@ export const HYDE_INSTRUCTIONS = `
 Write a short hypothetical answer (3-6 sentences) to the user's question.
 This is only used for retrieval. Do not mention it's hypothetical.
 `;
+
+export const CONDENSE_INSTRUCTIONS = `
+Rewrite the user's latest follow-up question as a standalone question that can be
+understood without the conversation. Resolve pronouns and references ("it", "that",
+"and what about X?") using the conversation. Keep the user's wording otherwise.
+If the question is already standalone, return it unchanged.
+Return ONLY the rewritten question. No quotes. No commentary.
+`;
+
+export const VERIFY_INSTRUCTIONS = `
+You check whether claims are supported by the passages cited for them.
+For each numbered CLAIM, score how well its CITED PASSAGES support it:
+1 = fully supported, 0.5 = partly supported, 0 = not supported or contradicted.
+Judge only against the given passages, not your own knowledge.
+Return ONLY valid JSON with one score per claim, in order:
+{"scores":[1,0.5,0]}
+`;
+
+export const RERANK_INSTRUCTIONS = `
+You rank passages by how well they answer the QUESTION.
+Prefer passages that directly contain the answer over ones that are merely on topic.
+Return ONLY valid JSON with the passage numbers, most relevant first:
+{"ranking":[3,1,2]}
+Leave out passages that are irrelevant. No commentary.
+`;
@@ -0,0 +1,352 @@
+/**
+ * providers.js
+ * ------------
+ * Embedding + generation backends behind one small interface, so indexing
+ * and asking don't care which service (if any) is on the other end.
+ *
+ * Embedding provider:  { name, model, embed(texts) -> Promise<number[][]> }
+ * Generation provider: { name, model, generate({ task, instructions, input, temperature, onDelta? })
+ *                          -> Promise<{ text, usage }> }
+ *   With `onDelta` the text is streamed: onDelta(textDelta) is called as it
+ *   arrives, and the promise still resolves to the full text + usage.
+ *
+ * Backends (pick with RAG_PROVIDER, or per role with RAG_EMBED_PROVIDER / RAG_GEN_PROVIDER):
+ * - "openai":            official API (embeddings + Responses API)
+ * - "openai-compatible": any server speaking the OpenAI wire format
+ *                        (Ollama, llama.cpp, vLLM, LM Studio...) via RAG_BASE_URL,
+ *                        using Chat Completions for generation
+ * - "local":             built-in, deterministic, fully offline. Hashed
+ *                        bag-of-words embeddings + an extractive "answerer".
+ *                        Useful without credits and for running the pipeline in tests.
+ */
+
+import { createOpenAIClient, tokenize, streamPieces } from "./lib.js";
+import { ABSTENTION } from "./prompts.js";
+
+const DEFAULT_EMBED_MODEL = "text-embedding-3-small";
+const DEFAULT_GEN_MODEL = "gpt-4.1-mini";
+const DEFAULT_LOCAL_DIM = 512;
+
+export const PROVIDERS = ["openai", "openai-compatible", "local"];
+
+// Provider options for one role ("embed" | "gen") from the RAG_* env vars
+export function providerConfigFromEnv(role, env = process.env) {
+  const prefix = role === "embed" ? "RAG_EMBED" : "RAG_GEN";
+  return {
+    provider: env[`${prefix}_PROVIDER`] || env.RAG_PROVIDER || "openai",
+    model: env[`${prefix}_MODEL`],
+    baseURL: env[`${prefix}_BASE_URL`] || env.RAG_BASE_URL,
+    apiKey: env.RAG_API_KEY || env.OPENAI_API_KEY,
+    dimensions: Number(env.RAG_LOCAL_EMBED_DIM || DEFAULT_LOCAL_DIM),
+  };
+}
+
+function assertProvider(provider) {
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown provider "${provider}". Expected one of: ${PROVIDERS.join(", ")}`
+    );
+  }
+}
+
+/* ----------------------------- Embeddings ----------------------------- */
+
+export function createEmbeddingProvider(config = {}) {
+  const { provider = "openai", model, baseURL, apiKey, dimensions } = config;
+  assertProvider(provider);
+
+  if (provider === "local") {
+    return createLocalEmbedder({ dimensions });
+  }
+
+  if (provider === "openai-compatible" && !baseURL) {
+    throw new Error("openai-compatible provider needs RAG_BASE_URL");
+  }
+
+  // Client is created lazily so offline runs never need an API key
+  let client;
+  const getClient = () =>
+    (client ??= createOpenAIClient({
+      apiKey: apiKey || (baseURL ? "not-needed" : undefined),
+      baseURL,
+    }));
+
+  return {
+    name: provider,
+    model: model || DEFAULT_EMBED_MODEL,
+    async embed(texts) {
+      const res = await getClient().embeddings.create({
+        model: model || DEFAULT_EMBED_MODEL,
+        input: texts,
+        encoding_format: "float",
+      });
+      return res.data.map((d) => d.embedding);
+    },
+  };
+}
+
+/**
+ * Hashed bag-of-words embedder ("feature hashing").
+ * Each unigram/bigram is hashed into one of `dimensions` buckets with a
+ * hash-derived sign, weighted by log term frequency. Same text -> same vector,
+ * no network, no model files. Quality is lexical, not semantic.
+ */
+export function createLocalEmbedder({ dimensions = DEFAULT_LOCAL_DIM } = {}) {
+  return {
+    name: "local",
+    model: `local-hash-bow-${dimensions}`,
+    async embed(texts) {
+      return texts.map((t) => hashedBagOfWords(t, dimensions));
+    },
+  };
+}
+
+function fnv1a(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function hashedBagOfWords(text, dimensions) {
+  const tokens = tokenize(text);
+  const features = [...tokens];
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+
+  const tf = new Map();
+  for (const f of features) tf.set(f, (tf.get(f) || 0) + 1);
+
+  const v = new Array(dimensions).fill(0);
+  for (const [f, count] of tf) {
+    const h = fnv1a(f);
+    const sign = h & 0x80000000 ? -1 : 1;
+    v[h % dimensions] += sign * (1 + Math.log(count));
+  }
+  return v;
+}
+
+/* ----------------------------- Generation ----------------------------- */
+
+export function createGenerationProvider(config = {}) {
+  const { provider = "openai", model, baseURL, apiKey } = config;
+  assertProvider(provider);
+
+  if (provider === "local") return createLocalGenerator();
+
+  if (provider === "openai-compatible" && !baseURL) {
+    throw new Error("openai-compatible provider needs RAG_BASE_URL");
+  }
+
+  let client;
+  const getClient = () =>
+    (client ??= createOpenAIClient({
+      apiKey: apiKey || (baseURL ? "not-needed" : undefined),
+      baseURL,
+    }));
+  const genModel = model || DEFAULT_GEN_MODEL;
+
+  if (provider === "openai-compatible") {
+    // Most local servers implement Chat Completions but not the Responses API
+    return {
+      name: provider,
+      model: genModel,
+      async generate({ instructions, input, temperature, onDelta }) {
+        const request = {
+          model: genModel,
+          messages: [
+            { role: "system", content: instructions },
+            { role: "user", content: input },
+          ],
+          temperature,
+        };
+
+        if (onDelta) {
+          const stream = await getClient().chat.completions.create({
+            ...request,
+            stream: true,
+            stream_options: { include_usage: true },
+          });
+          let text = "";
+          let usage;
+          for await (const chunk of stream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+              text += delta;
+              onDelta(delta);
+            }
+            if (chunk.usage) usage = chunk.usage;
+          }
+          return {
+            text,
+            usage: {
+              inputTokens: usage?.prompt_tokens ?? 0,
+              outputTokens: usage?.completion_tokens ?? 0,
+            },
+          };
+        }
+
+        const resp = await getClient().chat.completions.create(request);
+        return {
+          text: resp.choices?.[0]?.message?.content || "",
+          usage: {
+            inputTokens: resp.usage?.prompt_tokens ?? 0,
+            outputTokens: resp.usage?.completion_tokens ?? 0,
+          },
+        };
+      },
+    };
+  }
+
+  return {
+    name: provider,
+    model: genModel,
+    async generate({ instructions, input, temperature, onDelta }) {
+      const request = { model: genModel, instructions, input, temperature };
+
+      if (onDelta) {
+        const stream = await getClient().responses.create({
+          ...request,
+          stream: true,
+        });
+        let text = "";
+        let usage;
+        for await (const event of stream) {
+          if (event.type === "response.output_text.delta") {
+            text += event.delta;
+            onDelta(event.delta);
+          } else if (event.type === "response.completed") {
+            usage = event.response.usage;
+          } else if (
+            event.type === "response.failed" ||
+            event.type === "error"
+          ) {
+            throw new Error(
+              event.response?.error?.message || event.message || "Stream failed"
+            );
+          }
+        }
+        return {
+          text,
+          usage: {
+            inputTokens: usage?.input_tokens ?? 0,
+            outputTokens: usage?.output_tokens ?? 0,
+          },
+        };
+      }
+
+      const resp = await getClient().responses.create(request);
+      return {
+        text: resp.output_text || "",
+        usage: {
+          inputTokens: resp.usage?.input_tokens ?? 0,
+          outputTokens: resp.usage?.output_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Offline generator.
+ * - "multi-query" / "hyde": returns nothing (retrieval just uses the question)
+ * - "rerank": orders passages by how many question terms they contain
+ * - "condense": prefixes the follow-up with the previous user question, which
+ *   is crude but keeps the earlier topic's terms in (lexical) retrieval
+ * - "answer": extractive; returns the context sentences that share the most
+ *   terms with the question, each cited with its [source: ...] label.
+ * Streaming just replays the finished text word by word.
+ */
+export function createLocalGenerator() {
+  return {
+    name: "local",
+    model: "local-extractive",
+    async generate({ task, input, onDelta }) {
+      let text = "";
+      if (task === "multi-query") text = JSON.stringify({ queries: [] });
+      if (task === "condense") text = condenseFollowUp(input);
+      if (task === "rerank") text = overlapRanking(input);
+      if (task === "answer") text = extractiveAnswer(input);
+      if (onDelta) for (const piece of streamPieces(text)) onDelta(piece);
+      return { text, usage: { inputTokens: 0, outputTokens: 0 } };
+    },
+  };
+}
+
+function overlapRanking(input) {
+  const [, question = "", passages = ""] =
+    input.match(/^QUESTION:\n([\s\S]*?)\n\nPASSAGES:\n\n([\s\S]*)$/) || [];
+  const qTerms = new Set(tokenize(question));
+
+  const scored = passages
+    .split(/\n\n(?=\[\d+\]\n)/)
+    .map((p) => p.match(/^\[(\d+)\]\n([\s\S]*)$/))
+    .filter(Boolean)
+    .map(([, n, text]) => ({
+      n: Number(n),
+      overlap: new Set(tokenize(text).filter((t) => qTerms.has(t))).size,
+    }))
+    .filter((p) => p.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap);
+
+  return JSON.stringify({ ranking: scored.map((p) => p.n) });
+}
+
+function condenseFollowUp(input) {
+  const [, history = "", question = ""] =
+    input.match(
+      /^CONVERSATION:\n([\s\S]*)\n\nFOLLOW-UP QUESTION:\n([\s\S]*)$/
+    ) || [];
+  const previous = [...history.matchAll(/^User: (.*)$/gm)].pop()?.[1] ?? "";
+  return `${previous} ${question}`.trim();
+}
+
+function extractiveAnswer(input, { maxSentences = 3 } = {}) {
+  // An optional CONVERSATION SO FAR section may precede the context
+  const [, contextPart = "", question = ""] =
+    input.match(/CONTEXT:\n\n([\s\S]*)\n\nUSER QUESTION:\n([\s\S]*)$/) || [];
+  const qTerms = new Set(tokenize(question));
+
+  const candidates = [];
+  for (const block of contextPart.split("\n\n---\n\n")) {
+    const m = block.match(/^(\[source: [^\]]+\])[^\n]*\n([\s\S]*)$/);
+    if (!m) continue;
+    const [, label, body] = m;
+    for (const sentence of body.split(/(?<=[.!?])\s+|\n+/)) {
+      const s = sentence.trim();
+      if (!s) continue;
+      const overlap = tokenize(s).filter((t) => qTerms.has(t)).length;
+      if (overlap > 0) candidates.push({ s, label, overlap });
+    }
+  }
+
+  if (candidates.length === 0) {
+    return ABSTENTION;
+  }
+
+  return candidates
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, maxSentences)
+    .map((c) => `- ${c.s} ${c.label}`)
+    .join("\n");
+}
+
+/* ----------------------------- Defaults (env) ----------------------------- */
+
+let embedProvider;
+let genProvider;
+
+export function getEmbeddingProvider() {
+  return (embedProvider ??= createEmbeddingProvider(
+    providerConfigFromEnv("embed")
+  ));
+}
+
+export function getGenerationProvider() {
+  return (genProvider ??= createGenerationProvider(
+    providerConfigFromEnv("gen")
+  ));
+}
@@ -0,0 +1,1529 @@
+/**
+ * rag.js (Improvised / KT-friendly)
+ * --------------------------------
+ * The RAG pipeline, shared by the CLI (ask.js), chat, eval and the HTTP
+ * server (server.js), and importable as a library.
+ * What it does (end-to-end):
+ * 1) Takes a question + an already-loaded vector index (chunks + embeddings)
+ * 2) "Augments" the query (Multi-query + HyDE) to improve retrieval recall
+ * 3) Embeds the query variants (with caching)
+ * 4) Retrieves the most relevant chunks, optionally reranks them against the
+ *    question, and de-duplicates / diversifies them
+ * 5) Sends only the selected context to the LLM to answer (with citations)
+ *
+ * Library use:
+ *   const rag = createRagPipeline({ gen: { provider: "local" }, ... });
+ *   const result = await rag.ask("How do I deploy?");
+ *   // { answer, citations, hits, rewrites, hyde, timing, usage, ... }
+ * Pipeline knobs are explicit options (see DEFAULT_CONFIG); configFromEnv()
+ * maps the RAG_* variables onto the same options (that's what the CLIs do).
+ * A few process-wide settings are read from the environment whatever you
+ * pass: importing loads .env (dotenv), OpenAI clients without an apiKey
+ * fall back to OPENAI_API_KEY, RAG_TOKENIZER picks the token encoding
+ * (tokens.js) and RAG_REDACT_SALT keys hashed question redaction
+ * (redact.js).
+ *
+ * Improvements in this version:
+ * ✅ Better error handling: quota (insufficient_quota), rate limits, transient failures
+ * ✅ Caching: embeddings, augmentation and answer caches (see cache.js)
+ * ✅ Cleaner logging with debug mode
+ * ✅ KT-friendly structure + clear sectioning
+ */
+
+import { performance } from "node:perf_hooks";
+
+import { embedTexts } from "./embed.js";
+import {
+  createEmbeddingProvider,
+  createGenerationProvider,
+  providerConfigFromEnv,
+} from "./providers.js";
+import { LocalVectorStore, IndexMismatchError } from "./vectorStore.js";
+import { normalizePrincipal, accessScope } from "./acl.js";
+import { createRedactor, redactionConfigFromEnv, addCounts } from "./redact.js";
+import { appendTrace, newTraceId, TRACE_PATH } from "./trace.js";
+export { IndexMismatchError };
+import { compileFilter, isEmptyFilter } from "./filter.js";
+import { countTokens, truncateToTokens } from "./tokens.js";
+import { streamPieces } from "./lib.js";
+import {
+  Cache,
+  CACHE_DIR,
+  cacheKey,
+  packVector,
+  unpackVector,
+} from "./cache.js";
+import {
+  classifyOpenAIError,
+  withRetry,
+  createLimiter,
+  RETRY_DEFAULTS,
+} from "./resilience.js";
+import { verifyAnswer, REFUSAL } from "./verify.js";
+import { getReranker } from "./rerank.js";
+import { expandHits } from "./expand.js";
+import {
+  contextHeader,
+  citationTarget,
+  parseCitations,
+  citationLookup,
+  createCitationRenderer,
+} from "./citations.js";
+import {
+  ANSWER_INSTRUCTIONS,
+  MULTI_QUERY_INSTRUCTIONS,
+  HYDE_INSTRUCTIONS,
+  CONDENSE_INSTRUCTIONS,
+} from "./prompts.js";
+
+/* ----------------------------- Config ----------------------------- */
+
+/**
+ * Every option createRagPipeline() understands, with its default.
+ * Nested groups (embed, gen, retrieval, ...) are merged key by key, so
+ * { retrieval: { hyde: false } } only changes that one knob.
+ */
+export const DEFAULT_CONFIG = {
+  indexPath: "index/store.json",
+  // Search several collections' indexes together instead of indexPath:
+  // [{ name, indexPath }] (see collections.js); hits carry `collection`
+  collections: null,
+  // Compare the index manifest with the query embedder on load:
+  // error (refuse a mismatched index) | warn | off
+  indexCheck: "error",
+  cacheDir: ".cache",
+
+  // Providers + models (see providers.js): { provider, model, baseURL, apiKey }
+  // provider = openai | openai-compatible | local; embed also takes
+  // `dimensions` (local embedder)
+  embed: { provider: "openai" },
+  gen: { provider: "openai" },
+
+  // Retrieval knobs; retrieve() / ask() take per-call overrides as `params`
+  retrieval: {
+    perQueryTopK: 8,
+    finalTopK: 25,
+    // Context is filled up to a token budget; contextK optionally caps chunk count
+    contextK: Infinity,
+    contextTokens: 3000,
+    // Context expansion (see expand.js): none|neighbors|document. Neighbors
+    // pulls in expandWindow chunks per side, at most expandTokens per hit
+    expand: "none",
+    expandWindow: 1,
+    expandTokens: 400,
+    lambda: 0.8, // pickDiverse relevance vs. novelty
+    // Augmentation toggles (you can disable to reduce cost / calls)
+    multiQuery: true,
+    hyde: true,
+    // Hybrid retrieval: dense (cosine) + lexical (BM25), fused per variant
+    searchMode: "hybrid", // dense|lexical|hybrid
+    fusion: "rrf", // rrf|weighted
+    denseWeight: 1,
+    lexicalWeight: 1,
+    rrfK: 60,
+    // Reranking of the finalTopK candidates against the original question
+    // (see rerank.js): none|lexical|llm|cross-encoder
+    reranker: "none",
+    // ANN (only used if `npm run index` built an HNSW graph): `exact`
+    // bypasses it, `ef` overrides the ef stored with the graph
+    exact: false,
+    ef: undefined,
+  },
+
+  // Endpoint for the cross-encoder reranker: { url, model, apiKey,
+  // timeoutMs } (timeoutMs per request, retried like other remote calls)
+  rerankEndpoint: { timeoutMs: 30000 },
+
+  // Conversation (chat mode): earlier turns passed to the answer prompt,
+  // newest first, up to this many tokens
+  historyTokens: 1000,
+
+  // Answer verification (see verify.js): mode off|lexical|llm. Fails when
+  // fewer than `threshold` of the claims are supported or a citation points
+  // outside the context; onFail warn|refuse
+  verify: { mode: "lexical", threshold: 0.6, onFail: "warn" },
+
+  // Scan questions (and earlier chat turns) for PII / secrets before any
+  // model or cache sees them (see redact.js): questions off|mask|hash;
+  // detectors null = all built-ins, patterns = extra { name: regex }
+  redact: { questions: "off", detectors: null, patterns: {} },
+
+  // Append a trace of every retrieve() / ask() to a JSONL log (see trace.js).
+  // Off for library use; configFromEnv() turns it on (RAG_TRACE=false: off)
+  trace: { enabled: false, path: ".traces/traces.jsonl" },
+
+  // Stream answer tokens as they are generated (CLIs print them live)
+  stream: true,
+
+  // Retries + client-side limits for remote calls (see resilience.js)
+  retry: { maxRetries: 4, concurrency: 4, requestsPerMinute: 0 },
+
+  debug: false,
+
+  // Ready-made instances instead of the ones built from the options above
+  generator: null, // { name, model, generate() }
+  embedder: null, // { name, model, embed() }
+  logger: null, // { info, ok, warn, err, debug }
+};
+
+const CONFIG_GROUPS = [
+  "embed",
+  "gen",
+  "retrieval",
+  "rerankEndpoint",
+  "verify",
+  "redact",
+  "trace",
+  "retry",
+];
+
+// Unset env vars come through as undefined and must not override defaults
+function definedOnly(obj = {}) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v !== undefined)
+  );
+}
+
+/**
+ * configFromEnv()
+ * The RAG_* environment variables as a config object (unset ones omitted).
+ */
+export function configFromEnv(env = process.env) {
+  const num = (name) => (env[name] ? Number(env[name]) : undefined);
+  const bool = (name) => (env[name] ? env[name] === "true" : undefined);
+  const redaction = redactionConfigFromEnv(env);
+
+  return {
+    indexCheck: env.RAG_INDEX_CHECK,
+    cacheDir: CACHE_DIR, // RAG_CACHE_DIR
+    // RAG_PROVIDER=openai|openai-compatible|local (or per role with
+    // RAG_EMBED_PROVIDER / RAG_GEN_PROVIDER), RAG_GEN_MODEL, RAG_EMBED_MODEL
+    embed: providerConfigFromEnv("embed", env),
+    gen: providerConfigFromEnv("gen", env),
+    retrieval: {
+      perQueryTopK: num("RAG_PER_QUERY_TOPK"),
+      finalTopK: num("RAG_FINAL_TOPK"),
+      contextK: num("RAG_CONTEXT_K"),
+      contextTokens: num("RAG_CONTEXT_TOKENS"),
+      expand: env.RAG_CONTEXT_EXPAND,
+      expandWindow: num("RAG_EXPAND_WINDOW"),
+      expandTokens: num("RAG_EXPAND_TOKENS"),
+      multiQuery: bool("RAG_MULTI_QUERY"),
+      hyde: bool("RAG_HYDE"),
+      searchMode: env.RAG_SEARCH_MODE,
+      fusion: env.RAG_FUSION,
+      denseWeight: num("RAG_DENSE_WEIGHT"),
+      lexicalWeight: num("RAG_LEXICAL_WEIGHT"),
+      rrfK: num("RAG_RRF_K"),
+      reranker: env.RAG_RERANK,
+      exact: bool("RAG_EXACT_SEARCH"),
+      ef: num("RAG_HNSW_EF_SEARCH"),
+    },
+    rerankEndpoint: {
+      url: env.RAG_RERANK_URL,
+      model: env.RAG_RERANK_MODEL,
+      apiKey: env.RAG_RERANK_API_KEY,
+      timeoutMs: num("RAG_RERANK_TIMEOUT_MS"),
+    },
+    historyTokens: num("RAG_HISTORY_TOKENS"),
+    verify: {
+      mode: env.RAG_VERIFY,
+      threshold: num("RAG_VERIFY_THRESHOLD"),
+      onFail: env.RAG_VERIFY_ON_FAIL,
+    },
+    redact: {
+      questions: env.RAG_REDACT_QUESTIONS,
+      // Same detectors as indexing: RAG_REDACT_DETECTORS, RAG_REDACT_PATTERNS
+      detectors: redaction.detectors ?? undefined,
+      patterns: redaction.patterns,
+    },
+    trace: {
+      enabled: (env.RAG_TRACE ?? "true") === "true",
+      path: TRACE_PATH, // RAG_TRACE_FILE
+    },
+    stream: bool("RAG_STREAM"),
+    retry: RETRY_DEFAULTS, // RAG_MAX_RETRIES, RAG_MAX_CONCURRENCY, RAG_REQUESTS_PER_MINUTE
+    debug: bool("RAG_DEBUG"),
+  };
+}
+
+// Defaults + overrides; unknown keys are an error (catches typos in profiles)
+export function resolveParams(params = {}, base = DEFAULT_CONFIG.retrieval) {
+  for (const key of Object.keys(params)) {
+    if (!(key in DEFAULT_CONFIG.retrieval)) {
+      throw new Error(
+        `Unknown retrieval param "${key}" (known: ${Object.keys(DEFAULT_CONFIG.retrieval).join(", ")})`
+      );
+    }
+  }
+  return { ...base, ...definedOnly(params) };
+}
+
+/**
+ * resolveConfig()
+ * DEFAULT_CONFIG + overrides. Unknown options throw, like resolveParams().
+ */
+export function resolveConfig(config = {}) {
+  const out = { ...DEFAULT_CONFIG };
+
+  for (const [key, value] of Object.entries(definedOnly(config))) {
+    if (!(key in DEFAULT_CONFIG)) {
+      throw new Error(
+        `Unknown config option "${key}" (known: ${Object.keys(DEFAULT_CONFIG).join(", ")})`
+      );
+    }
+    out[key] = CONFIG_GROUPS.includes(key)
+      ? { ...DEFAULT_CONFIG[key], ...definedOnly(value) }
+      : value;
+  }
+  out.retrieval = resolveParams(out.retrieval);
+  return out;
+}
+
+// Config without secrets or instances, for debug output / health checks
+export function publicConfig(config) {
+  const { generator, embedder, logger, ...rest } = config;
+  const redact = ({ apiKey, ...group }) => ({
+    ...group,
+    ...(apiKey && { apiKey: "***" }),
+  });
+  return {
+    ...rest,
+    embed: redact(rest.embed),
+    gen: redact(rest.gen),
+    rerankEndpoint: redact(rest.rerankEndpoint),
+  };
+}
+
+/* ----------------------------- Logging ---------------------------- */
+
+/**
+ * Console logger used by the CLIs. `out` receives info/ok/debug lines
+ * (stdout by default; --json mode sends them to stderr instead).
+ */
+export function createLogger({ debug = false, out = console.log } = {}) {
+  const line = (msg, obj) => `${msg}${obj ? " " + JSON.stringify(obj) : ""}`;
+  return {
+    info: (msg, obj) => out(`ℹ️  ${line(msg, obj)}`),
+    ok: (msg, obj) => out(`✅ ${line(msg, obj)}`),
+    warn: (msg, obj) => console.warn(`⚠️  ${line(msg, obj)}`),
+    err: (msg, obj) => console.error(`❌ ${line(msg, obj)}`),
+    debug: (msg, obj) => {
+      if (debug) out(`🐛 ${line(msg, obj)}`);
+    },
+  };
+}
+
+/* ----------------------------- Helpers ---------------------------- */
+
+/**
+ * The three caches live in memory for a pipeline's lifetime (one CLI run,
+ * or the whole server process), and are persisted with saveCaches(). Size
+ * limits, expiry and file format are handled by cache.js.
+ */
+export async function loadCaches({ dir = DEFAULT_CONFIG.cacheDir } = {}) {
+  return {
+    embed: await Cache.open("embeddings", { dir }),
+    augment: await Cache.open("augment", { dir }),
+    answer: await Cache.open("answers", { dir }),
+  };
+}
+
+export async function saveCaches(caches) {
+  await caches.embed.save();
+  await caches.augment.save();
+  await caches.answer.save();
+}
+
+/**
+ * Offline runs (e.g. eval in CI) may only use the caches, or the local
+ * provider which never leaves the machine.
+ */
+export class OfflineCacheMissError extends Error {
+  constructor(what, text) {
+    super(`Offline: ${what} for "${text.slice(0, 60)}" is not cached`);
+    this.name = "OfflineCacheMissError";
+    this.what = what;
+  }
+}
+
+function assertCanCall(provider, offline, what, text) {
+  if (offline && provider.name !== "local") {
+    throw new OfflineCacheMissError(what, text);
+  }
+}
+
+/* ----------------------------- Remote Calls ---------------------------- */
+
+/**
+ * A "run" is one retrieve() / ask() call: the pipeline's providers, caches
+ * and logger, the caller (principal, see acl.js), plus the token usage and
+ * per-stage timings that end up in the result. `trace` collects what each
+ * stage did for the trace log (see traceRecord()); `cacheStats` counts
+ * cache hits / misses per stage.
+ */
+function startRun(rt, caches, { principal } = {}) {
+  return {
+    ...rt,
+    caches,
+    principal: normalizePrincipal(principal),
+    traceId: newTraceId(),
+    trace: {},
+    cacheStats: {},
+    usage: {
+      generationCalls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      embeddedTexts: 0, // cache misses sent to the embedding provider
+      embeddingTokens: 0, // counted locally (tokens.js)
+    },
+    timing: {},
+  };
+}
+
+async function timed(run, stage, fn) {
+  const t0 = performance.now();
+  try {
+    return await fn();
+  } finally {
+    const key = `${stage}Ms`;
+    run.timing[key] = (run.timing[key] || 0) + performance.now() - t0;
+  }
+}
+
+// cache.get(), counting hits / misses for the trace
+// A hit is any stored value: "" (no HyDE text) and [] (no rewrites) count too
+function cacheLookup(run, stage, cache, key) {
+  const value = cache.get(key);
+  const stats = (run.cacheStats[stage] ??= { hits: 0, misses: 0 });
+  if (value !== undefined) stats.hits++;
+  else stats.misses++;
+  return value;
+}
+
+function roundTiming(timing) {
+  return Object.fromEntries(
+    Object.entries(timing).map(([k, ms]) => [k, Math.round(ms)])
+  );
+}
+
+function retryOptions(run, label, extra = {}) {
+  return {
+    label,
+    maxRetries: run.config.retry.maxRetries,
+    limiter: run.limiter,
+    onRetry: (what, details) =>
+      run.log.warn(`${what} failed; retrying...`, details),
+    ...extra,
+  };
+}
+
+// generator.generate() with retries, limits and usage accounting
+async function generate(run, label, request, { shouldRetry } = {}) {
+  const resp = await withRetry(
+    () => run.generator.generate(request),
+    retryOptions(run, label, shouldRetry && { shouldRetry })
+  );
+  run.usage.generationCalls++;
+  run.usage.inputTokens += resp.usage?.inputTokens ?? 0;
+  run.usage.outputTokens += resp.usage?.outputTokens ?? 0;
+  return resp;
+}
+
+/* ---------------------- Retrieval Diversity (MMR-ish) ---------------------- */
+
+/**
+ * pickDiverse()
+ * - Input: hits sorted by relevance score (desc)
+ * - Output: top-k hits that are not near-duplicates
+ *
+ * KT explanation:
+ * We want "high relevance" AND "diversity", so we penalize chunks that are
+ * too similar to already picked chunks (MMR concept).
+ */
+function pickDiverse(hits, { k = Infinity, lambda = 0.8, minKeep = 0.1 } = {}) {
+  const picked = [];
+  const pickedEmbeds = [];
+
+  for (const h of hits) {
+    if (picked.length >= k) break;
+
+    // similarity to picked chunks (cosine = dot since normalized vectors)
+    let maxSimToPicked = 0;
+    for (const pe of pickedEmbeds) {
+      let sim = 0;
+      const a = h.item.embeddingUnit;
+      const b = pe;
+      for (let i = 0; i < a.length; i++) sim += a[i] * b[i];
+      if (sim > maxSimToPicked) maxSimToPicked = sim;
+    }
+
+    // MMR-ish score
+    const mmrScore = lambda * h.score - (1 - lambda) * maxSimToPicked;
+
+    // keep if not basically a duplicate
+    if (picked.length === 0 || mmrScore > minKeep) {
+      picked.push(h);
+      pickedEmbeds.push(h.item.embeddingUnit);
+    }
+  }
+
+  return picked;
+}
+
+/* ----------------------------- Augmentation ----------------------------- */
+
+/**
+ * Multi-query rewrite:
+ * Ask LLM to produce 3 alternative search queries (JSON).
+ * Cached by (model + question).
+ */
+async function getMultiQueriesCached(run, question, { offline } = {}) {
+  const cache = run.caches.augment;
+  const key = cacheKey("mq", run.generator.model, question);
+  const cached = cacheLookup(run, "multiQuery", cache, key);
+  if (cached !== undefined) {
+    run.log.debug("Multi-query cache hit");
+    return cached;
+  }
+  assertCanCall(run.generator, offline, "multi-query", question);
+
+  const resp = await generate(run, "multi-query", {
+    task: "multi-query",
+    instructions: MULTI_QUERY_INSTRUCTIONS,
+    input: question,
+    temperature: 0.2,
+  });
+
+  const raw = resp.text.trim();
+  let queries = [];
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed.queries)) queries = parsed.queries.slice(0, 3);
+  } catch {
+    // If model returns invalid JSON, we fall back to no rewrites
+    queries = [];
+  }
+
+  cache.set(key, queries);
+  return queries;
+}
+
+/**
+ * HyDE:
+ * Ask LLM for a short hypothetical answer to embed for retrieval.
+ * Cached by (model + question).
+ */
+async function getHydeCached(run, question, { offline } = {}) {
+  const cache = run.caches.augment;
+  const key = cacheKey("hyde", run.generator.model, question);
+  const cached = cacheLookup(run, "hyde", cache, key);
+  if (cached !== undefined) {
+    run.log.debug("HyDE cache hit");
+    return cached;
+  }
+  assertCanCall(run.generator, offline, "hyde", question);
+
+  const resp = await generate(run, "hyde", {
+    task: "hyde",
+    instructions: HYDE_INSTRUCTIONS,
+    input: question,
+    temperature: 0.3,
+  });
+
+  const hyde = resp.text.trim();
+  cache.set(key, hyde);
+  return hyde;
+}
+
+/* ----------------------------- Conversation ----------------------------- */
+
+/**
+ * formatHistory()
+ * - Input: earlier turns [{ question, answer }], oldest first
+ * - Output: "User: ...\nAssistant: ..." transcript of the most recent turns
+ *   that fit in `maxTokens` (whole turns only; "" when there is no history)
+ *
+ * Citation labels are stripped from answers: they cost tokens and the model
+ * must cite the current CONTEXT, not earlier turns.
+ */
+export function formatHistory(
+  turns = [],
+  { maxTokens = DEFAULT_CONFIG.historyTokens } = {}
+) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const { question, answer = "" } = turns[i];
+    const text = `User: ${question}\nAssistant: ${answer
+      .replace(/\s*\[source:[^\]]*\]/g, "")
+      .trim()}`;
+    const cost = countTokens(text);
+    if (used + cost > maxTokens) break;
+    kept.unshift(text);
+    used += cost;
+  }
+
+  return kept.join("\n\n");
+}
+
+/**
+ * Follow-up condensation:
+ * Rewrite "and what about staging?" into a standalone question so retrieval
+ * (multi-query, HyDE, search) sees what the user actually means.
+ * Cached by (model + history + question).
+ */
+async function condenseQuestionCached(run, question, history) {
+  const cache = run.caches.augment;
+  const key = cacheKey("condense", run.generator.model, history, question);
+  const cached = cacheLookup(run, "condense", cache, key);
+  if (cached !== undefined) {
+    run.log.debug("Condense cache hit");
+    return cached;
+  }
+
+  const resp = await generate(run, "condense", {
+    task: "condense",
+    instructions: CONDENSE_INSTRUCTIONS,
+    input: `CONVERSATION:\n${history}\n\nFOLLOW-UP QUESTION:\n${question}`,
+    temperature: 0,
+  });
+
+  const standalone = resp.text.trim() || question;
+  cache.set(key, standalone);
+  return standalone;
+}
+
+/* ----------------------------- Embedding Cache ----------------------------- */
+
+/**
+ * Embedding cache stores embeddings per text+model, packed as base64
+ * float32 (see cache.js). Old entries are evicted LRU-first.
+ */
+async function embedTextsCached(run, texts, { offline } = {}) {
+  const embedCache = run.caches.embed;
+  // Build keys and find misses
+  const keys = texts.map((t) => cacheKey("emb", run.embedder.model, t));
+  const vectors = keys.map((k) => {
+    const packed = cacheLookup(run, "embeddings", embedCache, k);
+    return packed ? unpackVector(packed) : null;
+  });
+  const misses = [];
+  const missIndexes = [];
+
+  vectors.forEach((v, i) => {
+    if (!v) {
+      misses.push(texts[i]);
+      missIndexes.push(i);
+    }
+  });
+
+  // Fetch embeddings for misses
+  if (misses.length > 0) {
+    run.log.debug("Embedding cache misses", { count: misses.length });
+    assertCanCall(run.embedder, offline, "embeddings", misses[0]);
+
+    const fetched = await withRetry(
+      () => embedTexts(misses, { provider: run.embedder }),
+      retryOptions(run, "embeddings")
+    );
+    run.usage.embeddedTexts += misses.length;
+    run.usage.embeddingTokens += misses.reduce((n, t) => n + countTokens(t), 0);
+
+    // Store them
+    fetched.forEach((v, j) => {
+      const originalIndex = missIndexes[j];
+      vectors[originalIndex] = v;
+      embedCache.set(keys[originalIndex], packVector(v));
+    });
+  } else {
+    run.log.debug("All embeddings served from cache");
+  }
+
+  // Original order
+  return vectors;
+}
+
+/* ----------------------------- Reranking ----------------------------- */
+
+/**
+ * rerankHits()
+ * - Input: merged candidates (retrieval order) + reranker name
+ * - Output: the same hits re-sorted by rerank score, or null when reranking
+ *   is off or failed (callers keep the retrieval order)
+ *
+ * KT explanation:
+ * Rerank scores come in any scale (BM25, positions, logits), so they are
+ * min-max normalized to 0..1 and replace `score`, which is what pickDiverse
+ * weighs against similarity. The old value is kept as `retrievalScore`.
+ * Remote rerankers (llm, cross-encoder) are cached like augmentation.
+ */
+async function rerankHits(run, question, hits, name, { store, offline }) {
+  if (name === "none" || hits.length === 0) return null;
+  const rerank = getReranker(name);
+  const cache = run.caches.augment;
+  const endpoint = run.config.rerankEndpoint;
+
+  const remote = name !== "lexical";
+  const model = name === "llm" ? run.generator.model : endpoint.model || "";
+  const key = cacheKey(
+    "rerank",
+    name,
+    model,
+    question,
+    hits.map((h) => [h.item.id, h.item.content])
+  );
+
+  let scores = remote ? cacheLookup(run, "rerank", cache, key) : null;
+  if (scores) {
+    run.log.debug("Rerank cache hit");
+  } else {
+    if (remote && offline) {
+      if (name === "llm") {
+        assertCanCall(run.generator, offline, "rerank", question);
+      } else throw new OfflineCacheMissError("rerank", question);
+    }
+    try {
+      scores = await rerank(question, hits, {
+        store,
+        endpoint,
+        generate: (req) => generate(run, "rerank", req),
+        retry: (fn) => withRetry(fn, retryOptions(run, "rerank")),
+      });
+    } catch (err) {
+      run.log.warn(`Reranker "${name}" failed; keeping retrieval order`, {
+        message: err.message,
+      });
+      return null;
+    }
+    if (remote) cache.set(key, scores);
+  }
+
+  const min = Math.min(...scores);
+  const span = Math.max(...scores) - min;
+  return hits
+    .map((h, i) => ({
+      ...h,
+      retrievalScore: h.score,
+      rerankScore: scores[i],
+      score: span > 0 ? (scores[i] - min) / span : 1,
+      retrievalRank: i + 1,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/* ----------------------------- Context Builder ----------------------------- */
+
+const CONTEXT_SEPARATOR = "\n\n---\n\n";
+
+/**
+ * buildContextBlock()
+ * - Input: hits in rank order (best first)
+ * - Output: context string that fits in `maxTokens`
+ *
+ * KT explanation:
+ * Chunks are added best-first until the budget runs out. The first chunk that
+ * doesn't fit is truncated if a useful amount of room is left
+ * (>= minTruncateTokens); everything ranked below it is dropped.
+ */
+function buildContextBlock(
+  selectedHits,
+  {
+    maxTokens = DEFAULT_CONFIG.retrieval.contextTokens,
+    minTruncateTokens = 64,
+  } = {}
+) {
+  const blocks = [];
+  const included = [];
+  let used = 0;
+  let truncated = false;
+
+  for (const h of selectedHits) {
+    const { content } = h.item;
+    const header = contextHeader(h.item);
+    const sepTokens = blocks.length > 0 ? countTokens(CONTEXT_SEPARATOR) : 0;
+    const block = header + content;
+    const cost = countTokens(block) + sepTokens;
+
+    if (used + cost <= maxTokens) {
+      blocks.push(block);
+      included.push(h);
+      used += cost;
+      continue;
+    }
+
+    const room = maxTokens - used - sepTokens - countTokens(header);
+    if (room >= minTruncateTokens) {
+      const cut = truncateToTokens(content, room - 1) + "…";
+      blocks.push(header + cut);
+      included.push(h);
+      used += countTokens(header + cut) + sepTokens;
+      truncated = true;
+    }
+    break;
+  }
+
+  return {
+    context: blocks.join(CONTEXT_SEPARATOR),
+    included,
+    dropped: selectedHits.length - included.length,
+    truncated,
+    tokens: used,
+  };
+}
+
+/* ----------------------------- Answering ----------------------------- */
+
+/**
+ * With `onDelta` the answer is streamed. The cache stores only the final
+ * text; a cache hit is replayed through onDelta piece by piece, so callers
+ * render it exactly like a live answer.
+ */
+async function answerWithContextCached(
+  run,
+  question,
+  context,
+  { onDelta, history = "" } = {}
+) {
+  const answerCache = run.caches.answer;
+  // Cache by (model + question + context hash [+ conversation]).
+  // If documents change, context hash changes, so cache invalidates naturally.
+  // Keyed by access scope too: an answer never crosses to callers who
+  // can't see every document behind it.
+  const key = cacheKey(
+    "ans",
+    run.generator.model,
+    accessScope(run.principal),
+    question,
+    context,
+    history
+  );
+
+  const input =
+    (history ? `CONVERSATION SO FAR:\n${history}\n\n` : "") +
+    `CONTEXT:\n\n${context}\n\nUSER QUESTION:\n${question}`;
+  run.trace.prompt = {
+    tokens: countTokens(ANSWER_INSTRUCTIONS) + countTokens(input),
+    chars: ANSWER_INSTRUCTIONS.length + input.length,
+  };
+
+  const cached = cacheLookup(run, "answer", answerCache, key);
+  if (cached !== undefined) {
+    run.log.debug("Answer cache hit");
+    if (onDelta) for (const piece of streamPieces(cached)) onDelta(piece);
+    return cached;
+  }
+
+  // A retry after partial output would print the answer twice
+  let streamed = false;
+  const resp = await generate(
+    run,
+    "answer",
+    {
+      task: "answer",
+      instructions: ANSWER_INSTRUCTIONS,
+      input,
+      temperature: 0.2,
+      onDelta:
+        onDelta &&
+        ((delta) => {
+          streamed = true;
+          onDelta(delta);
+        }),
+    },
+    { shouldRetry: () => !streamed }
+  );
+
+  const out = resp.text;
+  answerCache.set(key, out);
+  return out;
+}
+
+/* ----------------------------- Verification ----------------------------- */
+
+/**
+ * Checks the answer against the context (verify.js). LLM-judge results are
+ * cached like answers; the lexical check is cheap enough to rerun.
+ */
+async function verifyAnswerCached(run, answer, context, included) {
+  const answerCache = run.caches.answer;
+  const { mode, threshold } = run.config.verify;
+  const key = cacheKey("verify", run.generator.model, answer, context);
+  const cached =
+    mode === "llm" ? cacheLookup(run, "verify", answerCache, key) : undefined;
+  if (cached !== undefined) {
+    run.log.debug("Verification cache hit");
+    return cached;
+  }
+
+  const verification = await verifyAnswer(answer, included, {
+    mode,
+    threshold,
+    generate: (req) => generate(run, "verify", req),
+    onJudgeError: (err) =>
+      run.log.warn("LLM judge failed; using lexical support instead", {
+        message: err.message,
+      }),
+  });
+
+  if (verification?.mode === "llm") answerCache.set(key, verification);
+  return verification;
+}
+
+/* ----------------------------- Pipeline ----------------------------- */
+
+// Tag errors with the step that failed so callers can give a useful hint
+function atStage(stage, err) {
+  if (err && typeof err === "object" && !err.stage) err.stage = stage;
+  return err;
+}
+
+/**
+ * retrieveHits()
+ * Question -> (augment) -> embed variants -> search -> (rerank) -> diversify
+ * -> (expand to neighbouring chunks) -> context. Hits keep their chunk
+ * objects; the pipeline's retrieve() / ask() serialize them.
+ * - filter:  retrieval filter (see filter.js), applied before scoring
+ * - augment: false skips multi-query + HyDE (plain "search" behaviour)
+ * - params:  overrides for config.retrieval
+ * - offline: never call a remote provider; cache misses throw
+ *            OfflineCacheMissError (quota fallbacks don't apply)
+ */
+async function retrieveHits(
+  run,
+  store,
+  question,
+  { filter, augment = true, params, offline = false } = {}
+) {
+  const { log } = run;
+  const predicate = compileFilter(filter);
+  const p = resolveParams(params, run.config.retrieval);
+  Object.assign(run.trace, {
+    index: store.collections ?? run.config.indexPath,
+    filter: filter ?? null,
+    params: p,
+  });
+
+  // 1) Augment query (graceful fallback on quota)
+  let rewrites = [];
+  let hyde = "";
+
+  if (augment) {
+    try {
+      await timed(run, "augment", async () => {
+        if (p.multiQuery)
+          rewrites = await getMultiQueriesCached(run, question, { offline });
+        if (p.hyde) hyde = await getHydeCached(run, question, { offline });
+      });
+    } catch (err) {
+      const info = classifyOpenAIError(err);
+
+      if (info.isQuota) {
+        // Degrade to "no augmentation" and continue.
+        log.warn(
+          "No API quota for augmentation; continuing without rewrites/HyDE.",
+          {
+            code: info.code,
+          }
+        );
+        rewrites = [];
+        hyde = "";
+      } else {
+        throw atStage("augment", err);
+      }
+    }
+  }
+
+  const variantTexts = [question, ...rewrites, hyde].filter(Boolean);
+  Object.assign(run.trace, { rewrites, hyde });
+
+  log.debug("Variant texts for retrieval", {
+    count: variantTexts.length,
+    rewritesCount: rewrites.length,
+    hydeUsed: Boolean(hyde),
+  });
+
+  // 2) Embed variants (with caching)
+  let variantEmbeds;
+  try {
+    variantEmbeds = await timed(run, "embed", () =>
+      embedTextsCached(run, variantTexts, { offline })
+    );
+  } catch (err) {
+    throw atStage("embeddings", err);
+  }
+
+  // Vectors of another width can't be compared at all, whatever indexCheck says
+  const dims = store.dimensions();
+  if (dims > 0 && variantEmbeds[0].length !== dims) {
+    throw new IndexMismatchError(run.config.indexPath, [
+      `index vectors have ${dims} dimensions, query vectors ${variantEmbeds[0].length}`,
+    ]);
+  }
+
+  // 3) Retrieve: multi-embedding union + score merge (optionally fused with BM25)
+  const searchStart = performance.now();
+  const mergedHits = store.searchMulti(variantEmbeds, {
+    perQueryTopK: p.perQueryTopK,
+    finalTopK: p.finalTopK,
+    queryTexts: variantTexts,
+    mode: p.searchMode,
+    fusion: p.fusion,
+    denseWeight: p.denseWeight,
+    lexicalWeight: p.lexicalWeight,
+    rrfK: p.rrfK,
+    exact: p.exact,
+    ef: p.ef,
+    filter: predicate,
+    principal: run.principal,
+    onLists: (lists) => {
+      run.trace.variants = lists.map(({ kind, variant, hits }) => ({
+        kind,
+        text: variantTexts[variant],
+        hits: hits.map(({ item, score }) => ({ id: item.id, score })),
+      }));
+    },
+  });
+  run.timing.searchMs = performance.now() - searchStart;
+
+  if (mergedHits.length === 0 && !isEmptyFilter(filter)) {
+    log.warn("No chunks matched the retrieval filter", filter);
+  }
+
+  log.debug(
+    "Merged hits",
+    mergedHits.slice(0, 10).map((h) => ({
+      id: h.item.id,
+      score: Number(h.score.toFixed(4)),
+      dense: h.denseScore?.toFixed(4),
+      lexical: h.lexicalScore?.toFixed(4),
+    }))
+  );
+
+  // 4) Rerank candidates against the original question (optional)
+  const reranked = await timed(run, "rerank", () =>
+    rerankHits(run, question, mergedHits, p.reranker, { store, offline })
+  );
+  run.trace.merged = (reranked || mergedHits).map(traceHit);
+  if (reranked) {
+    log.debug(
+      `Reranked hits (${p.reranker})`,
+      reranked.slice(0, 10).map((h) => ({
+        id: h.item.id,
+        from: h.retrievalRank,
+        score: Number(h.score.toFixed(4)),
+        rerank: Number(h.rerankScore.toFixed(4)),
+      }))
+    );
+  }
+
+  // 5) Select diverse top chunks (by rerank score when reranked)
+  const contextStart = performance.now();
+  const selected = pickDiverse(reranked || mergedHits, {
+    k: p.contextK,
+    lambda: p.lambda,
+  });
+
+  // 6) Expand to neighbouring chunks (optional); adjacent hits merge into one block
+  const blocks = expandHits(selected, store, {
+    accept: store.predicateFor(null, run.principal),
+    mode: p.expand,
+    window: p.expandWindow,
+    maxTokens: p.expandTokens,
+  });
+  if (p.expand !== "none") {
+    log.debug(
+      `Expanded context (${p.expand})`,
+      blocks.map((b) => ({ id: b.item.id, members: b.members }))
+    );
+  }
+
+  // 7) Build context
+  const {
+    context,
+    included,
+    dropped,
+    truncated,
+    tokens: contextTokens,
+  } = buildContextBlock(blocks, { maxTokens: p.contextTokens });
+  run.timing.contextMs = performance.now() - contextStart;
+  Object.assign(run.trace, {
+    selected: selected.map((h) => h.item.id),
+    context: { blocks: included.map((h) => h.item.id), tokens: contextTokens },
+  });
+
+  log.debug("Context budget", {
+    budget: p.contextTokens,
+    used: contextTokens,
+    chunks: included.length,
+    dropped,
+    truncated,
+  });
+
+  return {
+    rewrites,
+    hyde,
+    variantTexts,
+    mergedHits,
+    reranked,
+    included,
+    context,
+    contextTokens,
+  };
+}
+
+// Finds the context hit a parsed citation refers to (see citationLookup)
+function citedHits(included) {
+  const lookup = citationLookup(included.map((h) => h.item));
+  const byItem = new Map(included.map((h) => [h.item, h]));
+  return (c) => byItem.get(lookup(c));
+}
+
+// Maps [source: file#N] labels of chunks in the context to "[target]";
+// labels the context didn't contain are left as written
+function citationResolver(included, onCitation) {
+  const find = citedHits(included);
+  const seen = new Set();
+
+  return (c) => {
+    const h = find(c);
+    if (!h) return null;
+    const target = citationTarget(h.item);
+    if (onCitation && !seen.has(h.item.id)) {
+      seen.add(h.item.id);
+      onCitation({ id: h.item.id, target, score: h.score });
+    }
+    return `[${target}]`;
+  };
+}
+
+/**
+ * answerWithRetrieval()
+ * retrieveHits() + answer from the selected context.
+ * - answer:    raw model text (what the cache stores)
+ * - rendered:  same text with citation labels resolved to targets
+ * - citations: cited chunks that really were in the context, with a
+ *              reader-friendly target (PDFs -> file#page=N, text -> file:12-30)
+ * - verification: claim support + invalid citations (null if verify.mode=off)
+ * - refused:   verification failed and verify.onFail=refuse
+ * - standalone: the question retrieval actually used (see below)
+ * Conversation: opts.history = earlier turns [{ question, answer }]. A
+ * follow-up is condensed into a standalone question for retrieval, and the
+ * trimmed history goes into the answer prompt.
+ * Streaming: opts.onRetrieved(retrieval) fires before generation starts,
+ * opts.onDelta(text) receives rendered text as it is generated, and
+ * opts.onCitation(citation) fires the first time each citation resolves.
+ */
+async function answerWithRetrieval(run, store, question, opts = {}) {
+  const history = formatHistory(opts.history, {
+    maxTokens: run.config.historyTokens,
+  });
+
+  let standalone = question;
+  if (history) {
+    try {
+      standalone = await timed(run, "condense", () =>
+        condenseQuestionCached(run, question, history)
+      );
+    } catch (err) {
+      if (!classifyOpenAIError(err).isQuota) throw atStage("augment", err);
+      run.log.warn(
+        "No API quota for follow-up rewriting; using the question as is."
+      );
+    }
+    run.log.debug("Standalone question", { standalone });
+  }
+  run.trace.standalone = standalone;
+
+  const retrieval = {
+    standalone,
+    ...(await retrieveHits(run, store, standalone, opts)),
+  };
+  opts.onRetrieved?.(retrieval);
+
+  let onDelta;
+  let renderer;
+  if (opts.onDelta) {
+    renderer = createCitationRenderer(
+      citationResolver(retrieval.included, opts.onCitation)
+    );
+    onDelta = (delta) => {
+      const out = renderer.write(delta);
+      if (out) opts.onDelta(out);
+    };
+  }
+
+  let answer;
+  try {
+    answer = await timed(run, "answer", () =>
+      answerWithContextCached(run, question, retrieval.context, {
+        onDelta,
+        history,
+      })
+    );
+  } catch (err) {
+    throw atStage("answer", err);
+  }
+
+  if (renderer) {
+    const rest = renderer.end();
+    if (rest) opts.onDelta(rest);
+  }
+
+  const verification = await timed(run, "verify", () =>
+    verifyAnswerCached(run, answer, retrieval.context, retrieval.included)
+  );
+  const refused =
+    verification?.verdict === "fail" && run.config.verify.onFail === "refuse";
+
+  const full = createCitationRenderer(citationResolver(retrieval.included));
+  const rendered = full.write(answer) + full.end();
+
+  const find = citedHits(retrieval.included);
+  const citations = [];
+  for (const c of parseCitations(answer)) {
+    const h = find(c);
+    if (!h || citations.some((x) => x.id === h.item.id)) continue;
+    citations.push({
+      id: h.item.id,
+      ...(h.item.collection && { collection: h.item.collection }),
+      target: citationTarget(h.item),
+      score: h.score,
+    });
+  }
+  run.trace.answer = {
+    chars: answer.length,
+    refused,
+    verdict: verification?.verdict ?? null,
+    citations: citations.map((c) => c.id),
+  };
+
+  return {
+    answer,
+    rendered,
+    citations,
+    verification,
+    refused,
+    ...retrieval,
+  };
+}
+
+// Hits as plain JSON (no embeddings) for APIs / debug output
+export function serializeHit(h) {
+  const { id, source, chunkIndex, chunkEnd, content, meta } = h.item;
+  return {
+    id,
+    ...(h.item.collection && { collection: h.item.collection }),
+    source,
+    chunkIndex,
+    ...(chunkEnd != null && { chunkEnd }),
+    score: h.score,
+    ...(h.denseScore != null && { denseScore: h.denseScore }),
+    ...(h.lexicalScore != null && { lexicalScore: h.lexicalScore }),
+    ...(h.rerankScore != null && {
+      rerankScore: h.rerankScore,
+      retrievalScore: h.retrievalScore,
+    }),
+    target: citationTarget(h.item),
+    content,
+    meta,
+  };
+}
+
+/**
+ * User-facing hint for quota errors, by pipeline stage.
+ * Returns null when the error isn't a quota problem.
+ */
+export function quotaHint(err) {
+  if (!classifyOpenAIError(err).isQuota) return null;
+  if (err.stage === "embeddings") {
+    return "No API quota for embeddings. Add credits or set RAG_EMBED_PROVIDER=local (and re-index).";
+  }
+  if (err.stage === "answer") {
+    return "No API quota for answering. Add credits or set RAG_GEN_PROVIDER=openai-compatible / local.";
+  }
+  return "OpenAI quota exceeded / not enabled for this project. Add credits in billing.";
+}
+
+/* ----------------------------- Redaction ----------------------------- */
+
+function createQuestionRedactor({ questions, detectors, patterns }) {
+  if (questions === "off") return null;
+  if (!["mask", "hash"].includes(questions)) {
+    throw new Error(
+      `Unknown question redaction "${questions}" (expected off|mask|hash)`
+    );
+  }
+  return createRedactor({ mode: questions, detectors, patterns });
+}
+
+/**
+ * Masks PII / secrets in the question and the earlier turns (see
+ * config.redact) before anything leaves the process or lands in a cache.
+ * Returns { question, history, redactions } (redactions: detector counts,
+ * null when nothing was found).
+ */
+function redactQuestion(run, question, history) {
+  const redactor = run.questionRedactor;
+  if (!redactor) return { question, history, redactions: null };
+
+  const counts = {};
+  const scrub = (text) => {
+    if (!text) return text;
+    const r = redactor.redact(text);
+    addCounts(counts, r.counts);
+    return r.text;
+  };
+  const out = {
+    question: scrub(question),
+    history: history?.map((turn) => ({
+      ...turn,
+      question: scrub(turn.question),
+      answer: scrub(turn.answer),
+    })),
+  };
+
+  const found = Object.keys(counts).length > 0;
+  if (found) run.log.warn("Redacted from the question", counts);
+  return { ...out, redactions: found ? counts : null };
+}
+
+/* ----------------------------- Tracing ----------------------------- */
+
+// A hit in the trace: ids and scores, no content
+function traceHit(h) {
+  return {
+    id: h.item.id,
+    score: h.score,
+    ...(h.denseScore != null && { denseScore: h.denseScore }),
+    ...(h.lexicalScore != null && { lexicalScore: h.lexicalScore }),
+    ...(h.rerankScore != null && { rerankScore: h.rerankScore }),
+  };
+}
+
+// The run as one trace log record (format: see trace.js)
+function traceRecord(run, kind, { error, totalMs }) {
+  return {
+    id: run.traceId,
+    at: new Date().toISOString(),
+    kind,
+    ...(error && { error: { message: error.message, stage: error.stage } }),
+    principal: run.principal,
+    models: { embed: run.embedder.model, gen: run.generator.model },
+    ...run.trace,
+    timing: roundTiming({ ...run.timing, totalMs }),
+    usage: run.usage,
+    cache: run.cacheStats,
+  };
+}
+
+/**
+ * Runs fn() and appends the run's trace (config.trace), failed runs
+ * included. A trace that can't be written only costs a warning.
+ */
+async function traced(run, kind, fn) {
+  const t0 = performance.now();
+  let error = null;
+  try {
+    return await fn();
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    const { enabled, path } = run.config.trace;
+    if (enabled) {
+      const record = traceRecord(run, kind, {
+        error,
+        totalMs: performance.now() - t0,
+      });
+      await appendTrace(record, { file: path }).catch((err) =>
+        run.log.warn("Could not write the trace log", {
+          path,
+          message: err.message,
+        })
+      );
+    }
+  }
+}
+
+/* ----------------------------- Library API ----------------------------- */
+
+/**
+ * createRagPipeline(config)
+ * - config: options from DEFAULT_CONFIG (configFromEnv() for the RAG_* env)
+ * - Returns { config, log, loadStore(), setStore(), getCaches(),
+ *             saveCaches(), retrieve(), ask() }
+ *
+ * The index is loaded from config.indexPath (or merged from
+ * config.collections) on first use, or pass { store } per call /
+ * setStore(). Indexes are checked against the embedder per
+ * config.indexCheck (IndexMismatchError on mismatch). Caches are loaded
+ * once and persisted with saveCaches(). retrieve() and ask() return plain
+ * JSON-safe objects:
+ *
+ * retrieve(question, { filter, principal, augment, params, offline, store })
+ *   -> { question, variants, rewrites, hyde, candidates, hits, context,
+ *        contextTokens, timing, usage, traceId }
+ * ask(question, { filter, principal, history, params, offline, store,
+ *                 onRetrieved, onDelta, onCitation })
+ *   -> { question, standalone, answer, rendered, refused, citations,
+ *        verification, rewrites, hyde, variants, hits, candidateCount,
+ *        contextTokens, timing, usage, traceId }
+ *
+ * hits are serializeHit() objects (scores, target, content, meta, and
+ * collection when several are searched) in context order; timing is per
+ * stage in ms (augment, embed, search, rerank, context, condense, answer,
+ * verify, total); usage counts generation tokens as reported by the
+ * provider. A refused answer comes back as REFUSAL with no citations. With
+ * config.redact.questions on, `question` is the redacted text and
+ * `redactions` counts what was masked. With config.trace.enabled each call
+ * is appended to the trace log (see trace.js) under `traceId`.
+ */
+export function createRagPipeline(config = {}) {
+  const cfg = resolveConfig(config);
+  const rt = {
+    config: cfg,
+    generator: cfg.generator || createGenerationProvider(cfg.gen),
+    embedder: cfg.embedder || createEmbeddingProvider(cfg.embed),
+    log: cfg.logger || createLogger({ debug: cfg.debug }),
+    limiter: createLimiter({
+      concurrency: cfg.retry.concurrency,
+      requestsPerMinute: cfg.retry.requestsPerMinute,
+    }),
+    questionRedactor: createQuestionRedactor(cfg.redact),
+  };
+
+  let store = null;
+  let caches = null;
+
+  const loadStore = async ({ reload = false } = {}) => {
+    if (store && !reload) return store;
+    const load = (indexPath) =>
+      LocalVectorStore.load(indexPath, {
+        expect:
+          cfg.indexCheck === "off"
+            ? undefined
+            : { embedModel: rt.embedder.model },
+        strict: cfg.indexCheck === "error",
+      });
+    store = cfg.collections?.length
+      ? LocalVectorStore.merge(
+          await Promise.all(
+            cfg.collections.map(async ({ name, indexPath }) => ({
+              name,
+              store: await load(indexPath),
+            }))
+          )
+        )
+      : await load(cfg.indexPath);
+    for (const warning of store.warnings) rt.log.warn(`Index: ${warning}`);
+    return store;
+  };
+  const getCaches = () => (caches ??= loadCaches({ dir: cfg.cacheDir }));
+
+  return {
+    config: cfg,
+    log: rt.log,
+    generator: rt.generator,
+    embedder: rt.embedder,
+    loadStore,
+    setStore(next) {
+      store = next;
+    },
+    getCaches,
+    async saveCaches() {
+      if (caches) await saveCaches(await caches);
+    },
+
+    async retrieve(asked, opts = {}) {
+      const t0 = performance.now();
+      const run = startRun(rt, await getCaches(), opts);
+      return traced(run, "retrieve", async () => {
+        const { question, redactions } = redactQuestion(run, asked);
+        run.trace.question = question;
+        const r = await retrieveHits(
+          run,
+          opts.store || (await loadStore()),
+          question,
+          opts
+        );
+        return {
+          question,
+          ...(redactions && { redactions }),
+          variants: r.variantTexts,
+          rewrites: r.rewrites,
+          hyde: r.hyde,
+          candidates: r.mergedHits.map(serializeHit),
+          hits: r.included.map(serializeHit),
+          context: r.context,
+          contextTokens: r.contextTokens,
+          timing: roundTiming({
+            ...run.timing,
+            totalMs: performance.now() - t0,
+          }),
+          usage: run.usage,
+          ...(cfg.trace.enabled && { traceId: run.traceId }),
+        };
+      });
+    },
+
+    async ask(asked, opts = {}) {
+      const t0 = performance.now();
+      const run = startRun(rt, await getCaches(), opts);
+      return traced(run, "ask", async () => {
+        const { question, history, redactions } = redactQuestion(
+          run,
+          asked,
+          opts.history
+        );
+        run.trace.question = question;
+        const r = await answerWithRetrieval(
+          run,
+          opts.store || (await loadStore()),
+          question,
+          {
+            ...opts,
+            history,
+            onRetrieved:
+              opts.onRetrieved &&
+              ((retrieval) =>
+                opts.onRetrieved({
+                  standalone: retrieval.standalone,
+                  variants: retrieval.variantTexts,
+                  rewrites: retrieval.rewrites,
+                  hyde: retrieval.hyde,
+                  hits: retrieval.included.map(serializeHit),
+                })),
+          }
+        );
+        if (r.refused)
+          run.log.debug("Unverified answer", { rendered: r.rendered });
+
+        return {
+          question,
+          ...(redactions && { redactions }),
+          standalone: r.standalone,
+          answer: r.refused ? REFUSAL : r.answer,
+          rendered: r.refused ? REFUSAL : r.rendered,
+          refused: r.refused,
+          citations: r.refused ? [] : r.citations,
+          verification: r.verification,
+          rewrites: r.rewrites,
+          hyde: r.hyde,
+          variants: r.variantTexts,
+          hits: r.included.map(serializeHit),
+          candidateCount: r.mergedHits.length,
+          contextTokens: r.contextTokens,
+          timing: roundTiming({
+            ...run.timing,
+            totalMs: performance.now() - t0,
+          }),
+          usage: run.usage,
+          ...(cfg.trace.enabled && { traceId: run.traceId }),
+        };
+      });
+    },
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * redact.js
+ * ---------
+ * PII / secret redaction between loading and chunking, so emails, phone
+ * numbers, card numbers and credentials in the docs never reach the
+ * embeddings API, store.json or the prompt context. Optionally applied to
+ * user questions too, before they reach any model (rag.js).
+ *
+ * Detectors (RAG_REDACT_DETECTORS, comma-separated; default all built-ins):
+ * - email, phone, credit-card (Luhn-checked)
+ * - aws-access-key, api-key (sk-...), github-token, slack-token, jwt,
+ *   private-key (PEM blocks), secret-assignment (password=..., api_key: ...)
+ * - custom: RAG_REDACT_PATTERNS='{"ticket": "TICKET-\\d{4,}"}' (name -> regex),
+ *   or registerDetector() from code
+ *
+ * Modes (RAG_REDACT; opt-in):
+ * - "off" (default)
+ * - "mask":  replace each finding with [REDACTED:<detector>]
+ * - "hash":  replace with [<detector>:<hmac>], so the same value still
+ *            matches itself across documents (RAG_REDACT_SALT keys the HMAC;
+ *            set it, short values like phone numbers are guessable otherwise)
+ * - "drop-chunk": drop every chunk that contained a finding (findings are
+ *            swapped for a marker before chunking, so one that straddles two
+ *            chunks drops both instead of slipping through)
+ *
+ * Replacements keep the newlines of what they replace, so citation line
+ * ranges still point at the right lines of the original file.
+ */
+
+import crypto from "node:crypto";
+
+export const REDACT_MODES = ["off", "mask", "hash", "drop-chunk"];
+
+// Stands in for findings in drop-chunk mode (private-use char, one code point)
+export const DROP_MARKER = "\uE000";
+
+const DETECTORS = new Map();
+
+/**
+ * A detector: { pattern: RegExp, group?: number, validate?(value) -> bool }
+ * Only capture `group` is redacted when given (e.g. the value of key=value).
+ */
+export function registerDetector(name, detector) {
+  DETECTORS.set(name, detector);
+}
+
+export function detectorNames() {
+  return [...DETECTORS.keys()];
+}
+
+/* ----------------------------- Built-ins ----------------------------- */
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+registerDetector("email", {
+  pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+});
+
+// Separated groups ("+1 415-555-0132", "(020) 7946 0958"); dates, versions
+// and IPs don't have enough digits per group to match, and a run that
+// continues into more digit groups (card numbers, IDs) isn't a phone
+registerDetector("phone", {
+  pattern:
+    /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,5}\)[ .-]?|\d{2,5}[ .-])\d{3,4}[ .-]?\d{3,4}(?!\w|[ .-]\d)/g,
+  validate: (value) => {
+    const n = value.replace(/\D/g, "").length;
+    return n >= 9 && n <= 15;
+  },
+});
+
+registerDetector("credit-card", {
+  pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+  validate: (value) => luhn(value.replace(/\D/g, "")),
+});
+
+registerDetector("aws-access-key", {
+  pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+});
+
+registerDetector("api-key", {
+  pattern: /\bsk-(?:proj-|live-|test-)?[A-Za-z0-9_-]{20,}/g,
+});
+
+registerDetector("github-token", {
+  pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g,
+});
+
+registerDetector("slack-token", {
+  pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+});
+
+registerDetector("jwt", {
+  pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+});
+
+registerDetector("private-key", {
+  pattern:
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+});
+
+registerDetector("secret-assignment", {
+  pattern:
+    /\b(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret)\b\s*[:=]\s*["']?([^\s"'`,;]{8,})/gi,
+  group: 1,
+});
+
+/* ----------------------------- Config ----------------------------- */
+
+/**
+ * Indexing redaction settings from the RAG_REDACT* env vars:
+ * { mode, detectors, patterns } (the salt stays out of index settings).
+ */
+export function redactionConfigFromEnv(env = process.env) {
+  let patterns = {};
+  if (env.RAG_REDACT_PATTERNS) {
+    try {
+      patterns = JSON.parse(env.RAG_REDACT_PATTERNS);
+    } catch (err) {
+      throw new Error(`RAG_REDACT_PATTERNS is not valid JSON: ${err.message}`);
+    }
+  }
+  return {
+    mode: env.RAG_REDACT || "off",
+    detectors: env.RAG_REDACT_DETECTORS
+      ? env.RAG_REDACT_DETECTORS.split(",").map((d) => d.trim())
+      : null,
+    patterns,
+  };
+}
+
+/**
+ * createRedactor({ mode, detectors, patterns, salt })
+ * - detectors: names to use (null = every registered one)
+ * - patterns:  extra { name: regex source } detectors
+ * Returns { mode, find(text), redact(text) -> { text, counts } }
+ * (counts: { [detector]: n })
+ */
+export function createRedactor({
+  mode = "mask",
+  detectors = null,
+  patterns = {},
+  salt = process.env.RAG_REDACT_SALT || "",
+} = {}) {
+  if (!REDACT_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown redaction mode "${mode}" (expected ${REDACT_MODES.join("|")})`
+    );
+  }
+
+  const active = [];
+  for (const name of detectors ?? detectorNames()) {
+    const detector = DETECTORS.get(name);
+    if (!detector) {
+      throw new Error(
+        `Unknown redaction detector "${name}" (registered: ${detectorNames().join(", ")})`
+      );
+    }
+    active.push({ name, ...detector });
+  }
+  for (const [name, source] of Object.entries(patterns)) {
+    try {
+      active.push({ name, pattern: new RegExp(source, "g") });
+    } catch (err) {
+      throw new Error(`Invalid redaction pattern "${name}": ${err.message}`);
+    }
+  }
+
+  // Non-overlapping findings in text order; earlier, then longer, wins
+  const find = (text) => {
+    if (mode === "off") return [];
+    const found = [];
+    for (const { name, pattern, group, validate } of active) {
+      const re = new RegExp(
+        pattern.source,
+        pattern.flags.includes("d") ? pattern.flags : `${pattern.flags}d`
+      );
+      for (const m of text.matchAll(re)) {
+        const [start, end] = group ? m.indices[group] : m.indices[0];
+        const value = text.slice(start, end);
+        if (!value || (validate && !validate(value))) continue;
+        found.push({ detector: name, start, end, value });
+      }
+    }
+    found.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const out = [];
+    for (const f of found) {
+      if (out.length > 0 && f.start < out[out.length - 1].end) continue;
+      out.push(f);
+    }
+    return out;
+  };
+
+  const replacement = ({ detector, value }) => {
+    let label = `[REDACTED:${detector}]`;
+    if (mode === "drop-chunk") label = DROP_MARKER;
+    if (mode === "hash") {
+      const digest = crypto.createHmac("sha256", salt).update(value);
+      label = `[${detector}:${digest.digest("hex").slice(0, 12)}]`;
+    }
+    return label + "\n".repeat(value.split("\n").length - 1);
+  };
+
+  const redact = (text) => {
+    const findings = find(text);
+    const counts = countFindings(findings);
+    if (findings.length === 0) return { text, counts };
+
+    let out = "";
+    let pos = 0;
+    for (const f of findings) {
+      out += text.slice(pos, f.start) + replacement(f);
+      pos = f.end;
+    }
+    return { text: out + text.slice(pos), counts };
+  };
+
+  return { mode, find, redact };
+}
+
+function countFindings(findings) {
+  const counts = {};
+  for (const { detector } of findings) {
+    counts[detector] = (counts[detector] || 0) + 1;
+  }
+  return counts;
+}
+
+// { email: 1 } + { email: 2, phone: 1 } -> { email: 3, phone: 1 }
+export function addCounts(into, counts) {
+  for (const [k, n] of Object.entries(counts)) into[k] = (into[k] || 0) + n;
+  return into;
+}
@@ -0,0 +1,150 @@
+/**
+ * rerank.js
+ * ---------
+ * Optional second pass over the retrieved candidates: rescore each one
+ * against the ORIGINAL question (not the rewrites / HyDE text), so the chunk
+ * that actually answers it isn't stuck at rank 10+ behind chunks that merely
+ * embed close by.
+ *
+ * A reranker is (question, hits, ctx) => Promise<number[]>, one score per hit
+ * (higher = more relevant, any scale; rag.js normalizes to 0..1 for MMR).
+ * ctx: { store, generate, endpoint, retry } (retry(fn): the pipeline's
+ * retries, limits and logging for remote calls, as generate() has them)
+ *
+ * Built-ins (pick with RAG_RERANK):
+ * - "lexical":       BM25 of the question against each candidate, using the
+ *                    store's corpus statistics. Free and offline.
+ * - "llm":           listwise prompt; the generation model orders the passages.
+ *                    With the local provider, its term-overlap ranking stands in.
+ * - "cross-encoder": POSTs to a rerank endpoint (RAG_RERANK_URL), e.g. a local
+ *                    text-embeddings-inference or any Cohere/Jina-style /rerank.
+ */
+
+import { truncateToTokens } from "./tokens.js";
+import { RERANK_INSTRUCTIONS } from "./prompts.js";
+import { withRetry } from "./resilience.js";
+
+const RERANKERS = new Map();
+
+export function registerReranker(name, fn) {
+  RERANKERS.set(name, fn);
+}
+
+export function getReranker(name) {
+  const fn = RERANKERS.get(name);
+  if (!fn) {
+    throw new Error(
+      `Unknown reranker "${name}" (registered: ${[...RERANKERS.keys()].join(", ")})`
+    );
+  }
+  return fn;
+}
+
+/* ----------------------------- Lexical ----------------------------- */
+
+async function lexicalRerank(question, hits, { store }) {
+  const ids = new Set(hits.map((h) => h.item.id));
+  const scores = new Map(
+    store
+      .lexicalSearch(question, {
+        topK: hits.length,
+        filter: (item) => ids.has(item.id),
+      })
+      .map((h) => [h.item.id, h.score])
+  );
+  return hits.map((h) => scores.get(h.item.id) ?? 0);
+}
+
+/* ----------------------------- LLM (listwise) ----------------------------- */
+
+// Passages are clipped so 25 candidates fit comfortably in one prompt
+const LLM_PASSAGE_TOKENS = 200;
+
+async function llmRerank(question, hits, { generate }) {
+  const passages = hits
+    .map(
+      (h, i) =>
+        `[${i + 1}]\n${truncateToTokens(h.item.content, LLM_PASSAGE_TOKENS)}`
+    )
+    .join("\n\n");
+
+  const resp = await generate({
+    task: "rerank",
+    instructions: RERANK_INSTRUCTIONS,
+    input: `QUESTION:\n${question}\n\nPASSAGES:\n\n${passages}`,
+    temperature: 0,
+  });
+
+  const { ranking } = JSON.parse(resp.text);
+  if (!Array.isArray(ranking)) throw new Error("Reranker returned no ranking");
+
+  // Position -> score; passages the model left out score 0
+  const scores = new Array(hits.length).fill(0);
+  const seen = new Set();
+  for (const n of ranking) {
+    const i = Number(n) - 1;
+    if (!Number.isInteger(i) || i < 0 || i >= hits.length || seen.has(i)) {
+      continue;
+    }
+    scores[i] = (hits.length - seen.size) / hits.length;
+    seen.add(i);
+  }
+  return scores;
+}
+
+/* ----------------------------- Cross-encoder endpoint ----------------------------- */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+async function postRerank(endpoint, question, texts) {
+  const res = await fetch(endpoint.url, {
+    method: "POST",
+    // A timeout is transient for withRetry(), so a hung endpoint is retried
+    signal: AbortSignal.timeout(endpoint.timeoutMs ?? DEFAULT_TIMEOUT_MS),
+    headers: {
+      "content-type": "application/json",
+      ...(endpoint.apiKey && { authorization: `Bearer ${endpoint.apiKey}` }),
+    },
+    // TEI reads `texts`, Cohere/Jina-style APIs read `documents`
+    body: JSON.stringify({
+      ...(endpoint.model && { model: endpoint.model }),
+      query: question,
+      texts,
+      documents: texts,
+    }),
+  });
+  if (!res.ok) {
+    const err = new Error(`Rerank endpoint returned ${res.status}`);
+    err.status = res.status;
+    err.headers = res.headers; // Retry-After (see resilience.js)
+    throw err;
+  }
+  return res.json();
+}
+
+async function crossEncoderRerank(
+  question,
+  hits,
+  { endpoint, retry = (fn) => withRetry(fn, { label: "rerank" }) }
+) {
+  if (!endpoint?.url) {
+    throw new Error("cross-encoder reranker needs RAG_RERANK_URL");
+  }
+
+  const texts = hits.map((h) => h.item.content);
+  const body = await retry(() => postRerank(endpoint, question, texts));
+
+  // [{ index, score }] (TEI) or { results: [{ index, relevance_score }] }
+  const results = Array.isArray(body) ? body : body.results || [];
+  const scores = new Array(hits.length).fill(0);
+  for (const r of results) {
+    if (r.index >= 0 && r.index < hits.length) {
+      scores[r.index] = r.score ?? r.relevance_score ?? 0;
+    }
+  }
+  return scores;
+}
+
+registerReranker("lexical", lexicalRerank);
+registerReranker("llm", llmRerank);
+registerReranker("cross-encoder", crossEncoderRerank);
@@ -0,0 +1,239 @@
+/**
+ * resilience.js
+ * -------------
+ * One retry / throttling layer for every remote call: embeddings and
+ * generation while asking, chunk embeddings while indexing, and rerank
+ * endpoints.
+ *
+ * - classifyOpenAIError(): quota vs. rate limit vs. transient (5xx, network)
+ * - withRetry(): exponential backoff with jitter; honours Retry-After /
+ *   retry-after-ms response headers; never retries quota errors
+ * - createLimiter(): client-side concurrency + requests-per-minute limits.
+ *   withRetry() runs every attempt through a limiter (the shared default one
+ *   unless the caller passes its own, as rag.js pipelines do), so parallel
+ *   callers (server requests, index batches) can't burst past them.
+ *
+ * The OpenAI SDK's own retries are turned off (see lib.js), so this is the
+ * only place that decides whether and when to try again.
+ *
+ * Env:
+ *   RAG_MAX_RETRIES          attempts after the first (default 4)
+ *   RAG_MAX_CONCURRENCY      remote calls in flight at once (default 4)
+ *   RAG_REQUESTS_PER_MINUTE  0 = unlimited (default)
+ */
+
+const MAX_RETRIES = Number(process.env.RAG_MAX_RETRIES ?? 4);
+const MAX_CONCURRENCY = Number(process.env.RAG_MAX_CONCURRENCY || 4);
+const REQUESTS_PER_MINUTE = Number(process.env.RAG_REQUESTS_PER_MINUTE || 0);
+
+// The env settings, for callers that build their own limiter (see rag.js)
+export const RETRY_DEFAULTS = {
+  maxRetries: MAX_RETRIES,
+  concurrency: MAX_CONCURRENCY,
+  requestsPerMinute: REQUESTS_PER_MINUTE,
+};
+
+// Never wait longer than this for one retry, whatever the server says
+const MAX_BACKOFF_MS = 60_000;
+
+const NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function header(err, name) {
+  const headers = err?.headers || err?.response?.headers;
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  return headers[name];
+}
+
+/**
+ * Server-requested delay in ms, or null.
+ * retry-after-ms (OpenAI) wins over Retry-After (seconds or an HTTP date).
+ */
+export function retryAfterMs(err) {
+  const ms = Number(header(err, "retry-after-ms"));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+
+  const value = header(err, "retry-after");
+  if (value == null) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * Identify OpenAI error types in a KT-friendly way.
+ * - Quota: 429 + code=insufficient_quota
+ * - Rate limit: 429 + code=rate_limit_exceeded (or message includes rate limit)
+ * - Transient: 408 / 5xx, network errors and timeouts
+ */
+export function classifyOpenAIError(err) {
+  const status = err?.status;
+  const code = err?.code || err?.error?.code;
+  const message = err?.message || err?.error?.message || "";
+  const lower = message.toLowerCase();
+  const causeCode = err?.cause?.code;
+
+  const isQuota =
+    status === 429 &&
+    (code === "insufficient_quota" || lower.includes("quota"));
+
+  const isRateLimit =
+    !isQuota &&
+    status === 429 &&
+    (code === "rate_limit_exceeded" ||
+      lower.includes("rate limit") ||
+      lower.includes("too many requests") ||
+      retryAfterMs(err) != null);
+
+  const isNetwork =
+    NETWORK_CODES.has(code) ||
+    NETWORK_CODES.has(causeCode) ||
+    err?.name === "APIConnectionError" ||
+    err?.name === "APIConnectionTimeoutError" ||
+    lower.includes("fetch failed");
+
+  const isTransient =
+    status === 408 ||
+    (status >= 500 && status <= 599) ||
+    isNetwork ||
+    lower.includes("timeout") ||
+    lower.includes("timed out") ||
+    lower.includes("temporarily");
+
+  return { status, code, message, isQuota, isRateLimit, isTransient };
+}
+
+/**
+ * createLimiter()
+ * - concurrency: at most this many fn() running at once
+ * - requestsPerMinute: starts are spaced so no more than this many begin in
+ *   any 60s window (0 = unlimited)
+ * Returns { schedule(fn) -> Promise, stats() }.
+ */
+export function createLimiter({
+  concurrency = Infinity,
+  requestsPerMinute = 0,
+} = {}) {
+  const queue = [];
+  const starts = [];
+  let active = 0;
+  let timer = null;
+
+  function next() {
+    if (timer) return;
+    while (queue.length > 0 && active < concurrency) {
+      if (requestsPerMinute > 0) {
+        const now = Date.now();
+        while (starts.length > 0 && now - starts[0] >= 60_000) starts.shift();
+        if (starts.length >= requestsPerMinute) {
+          timer = setTimeout(
+            () => {
+              timer = null;
+              next();
+            },
+            60_000 - (now - starts[0])
+          );
+          return;
+        }
+        starts.push(now);
+      }
+
+      const { fn, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    schedule(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    stats: () => ({ active, queued: queue.length }),
+  };
+}
+
+export const defaultLimiter = createLimiter({
+  concurrency: MAX_CONCURRENCY,
+  requestsPerMinute: REQUESTS_PER_MINUTE,
+});
+
+function defaultOnRetry(label, details) {
+  console.warn(`⚠️  ${label} failed; retrying... ${JSON.stringify(details)}`);
+}
+
+/**
+ * Retry wrapper with exponential backoff for rate limits / transient errors.
+ * - Quota errors should NOT retry (won't help).
+ * - shouldRetry() can veto a retry (e.g. once streamed output was shown).
+ * - onRetry(label, details) reports each retry (default: console warning).
+ */
+export async function withRetry(
+  fn,
+  {
+    label = "operation",
+    maxRetries = MAX_RETRIES,
+    shouldRetry = () => true,
+    limiter = defaultLimiter,
+    onRetry = defaultOnRetry,
+  } = {}
+) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await (limiter ? limiter.schedule(fn) : fn());
+    } catch (err) {
+      const info = classifyOpenAIError(err);
+
+      // Do not retry quota errors
+      if (info.isQuota) {
+        throw err;
+      }
+
+      // Retry only for rate-limit or transient issues
+      const canRetry = info.isRateLimit || info.isTransient;
+
+      if (!canRetry || !shouldRetry() || attempt >= maxRetries) {
+        throw err;
+      }
+
+      const requested = retryAfterMs(err);
+      const backoffMs = Math.min(
+        MAX_BACKOFF_MS,
+        requested ??
+          Math.min(8000, 500 * Math.pow(2, attempt)) +
+            Math.floor(Math.random() * 250)
+      );
+      onRetry(label, {
+        attempt: attempt + 1,
+        backoffMs,
+        retryAfter: requested != null,
+        status: info.status,
+        code: info.code,
+      });
+
+      await sleep(backoffMs);
+      attempt++;
+    }
+  }
+}
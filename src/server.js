@@ -0,0 +1,384 @@
+/**
+ * server.js
+ * ---------
+ * Long-running HTTP API over the RAG pipeline. The index and caches are
+ * loaded once at startup (and the index swapped in place after a reindex),
+ * so requests don't pay the disk cost that every `npm run ask` does.
+ *
+ * Endpoints (JSON in / JSON out):
+ *   GET  /health    -> { ok, chunks, loadedAt, reindexing, config }
+ *   POST /search    { query, topK?, filter?, augment? } -> { hits }
+ *   POST /ask       { question, filter?, history?, stream? } -> { answer, citations, hits, ... }
+ *                   history: earlier turns [{ question, answer }] for follow-ups
+ *                   With stream: true (or Accept: text/event-stream) the reply is
+ *                   Server-Sent Events: "retrieval" { hits }, "delta" { text } per
+ *                   token (citations already resolved), "citation" { id, target,
+ *                   score } as each is first seen, then "done" (the JSON body
+ *                   above) or "error" { error }. With RAG_VERIFY_ON_FAIL=refuse
+ *                   no deltas are sent; the answer only arrives, verified, in "done".
+ *   POST /reindex   -> { summary }   (one at a time; 409 while running)
+ *
+ * `filter` has the same shape as filter.js (source, ext, tags, after, before).
+ *
+ * Access control (see acl.js): /search and /ask only see documents the
+ * caller may read. The caller is taken from the X-RAG-Groups (comma-separated)
+ * and X-RAG-Principal (id) headers set by the authenticating proxy in front
+ * of this server, and only when the server is told to trust them:
+ * - RAG_PRINCIPAL_SECRET=<secret>: the proxy also sends
+ *   X-RAG-Proxy-Secret: <secret>; requests without it are anonymous
+ * - RAG_TRUST_PRINCIPAL_HEADERS=true: trust them on every request (only
+ *   when nothing but the proxy can reach the port, and it strips them from
+ *   client requests)
+ * Otherwise every caller is anonymous: only public documents are searched.
+ *
+ * Usage:
+ *   npm run serve            # RAG_PORT (3000), RAG_HOST (127.0.0.1)
+ */
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+import { compileFilter } from "./filter.js";
+import { normalizePrincipal, ANONYMOUS } from "./acl.js";
+import { buildIndex } from "./indexer.js";
+import {
+  createRagPipeline,
+  configFromEnv,
+  publicConfig,
+  quotaHint,
+} from "./rag.js";
+import { classifyOpenAIError } from "./resilience.js";
+
+const PORT = Number(process.env.RAG_PORT || 3000);
+const HOST = process.env.RAG_HOST || "127.0.0.1";
+const MAX_BODY_BYTES = 1024 * 1024;
+const CACHE_FLUSH_MS = 2000;
+// When to believe the X-RAG-Groups / X-RAG-Principal headers (see above)
+const TRUST_PRINCIPAL_HEADERS =
+  process.env.RAG_TRUST_PRINCIPAL_HEADERS === "true";
+const PRINCIPAL_SECRET = process.env.RAG_PRINCIPAL_SECRET || "";
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const rag = createRagPipeline(configFromEnv());
+const { log, config } = rag;
+
+const state = {
+  store: null,
+  loadedAt: null,
+  reindexing: null, // Promise while a reindex runs
+};
+
+/* ----------------------------- Helpers ---------------------------- */
+
+async function readJsonBody(req) {
+  let size = 0;
+  const parts = [];
+  for await (const part of req) {
+    size += part.length;
+    if (size > MAX_BODY_BYTES)
+      throw new HttpError(413, "Request body too large");
+    parts.push(part);
+  }
+  if (size === 0) return {};
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(parts).toString("utf-8"));
+  } catch {
+    throw new HttpError(400, "Request body must be valid JSON");
+  }
+  // null, arrays and bare values would crash the routes' field lookups
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+  return body;
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(json),
+  });
+  res.end(json);
+}
+
+// SSE writer; stops quietly once the client has gone away
+function openEventStream(res) {
+  res.writeHead(200, {
+    "content-type": "text/event-stream; charset=utf-8",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+  });
+  return (event, data) => {
+    if (res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+function wantsStream(body, req) {
+  return (
+    body.stream === true ||
+    (req.headers.accept || "").includes("text/event-stream")
+  );
+}
+
+function requireString(body, key) {
+  const v = body[key];
+  if (typeof v !== "string" || !v.trim()) {
+    throw new HttpError(400, `"${key}" must be a non-empty string`);
+  }
+  return v.trim();
+}
+
+function validateHistory(history) {
+  if (history == null) return [];
+  const ok =
+    Array.isArray(history) &&
+    history.every(
+      (t) =>
+        t &&
+        typeof t.question === "string" &&
+        (t.answer === undefined || typeof t.answer === "string")
+    );
+  if (!ok) {
+    throw new HttpError(
+      400,
+      '"history" must be an array of { question, answer } strings'
+    );
+  }
+  return history;
+}
+
+function validateTopK(topK) {
+  if (topK == null) return config.retrieval.finalTopK;
+  if (!Number.isInteger(topK) || topK < 1) {
+    throw new HttpError(400, '"topK" must be a positive integer');
+  }
+  return topK;
+}
+
+function validateFilter(filter) {
+  try {
+    compileFilter(filter);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  return filter;
+}
+
+function trustsPrincipalHeaders(req) {
+  if (TRUST_PRINCIPAL_HEADERS) return true;
+  if (!PRINCIPAL_SECRET) return false;
+  const given = Buffer.from(String(req.headers["x-rag-proxy-secret"] ?? ""));
+  const expected = Buffer.from(PRINCIPAL_SECRET);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+// Set by the auth proxy; untrusted or absent -> anonymous (public documents only)
+function principalFromRequest(req) {
+  if (!trustsPrincipalHeaders(req)) return ANONYMOUS;
+  return normalizePrincipal({
+    id: req.headers["x-rag-principal"],
+    groups: req.headers["x-rag-groups"],
+  });
+}
+
+// Caches are flushed shortly after use instead of on every request
+let flushTimer = null;
+let flushing = Promise.resolve();
+function scheduleCacheFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushing = flushing
+      .then(() => rag.saveCaches())
+      .catch((err) => log.warn("Cache flush failed", { message: err.message }));
+  }, CACHE_FLUSH_MS);
+}
+
+async function loadStore() {
+  state.store = await rag.loadStore({ reload: true });
+  state.loadedAt = new Date().toISOString();
+  log.ok("Index loaded", { chunks: state.store.items.length });
+}
+
+/* ----------------------------- Routes ---------------------------- */
+
+const routes = {
+  "GET /health": async () => ({
+    ok: true,
+    chunks: state.store.items.length,
+    loadedAt: state.loadedAt,
+    reindexing: Boolean(state.reindexing),
+    config: publicConfig(config),
+  }),
+
+  "POST /search": async (body, { req }) => {
+    const query = requireString(body, "query");
+    const filter = validateFilter(body.filter);
+    const topK = validateTopK(body.topK);
+
+    // Candidates are capped at finalTopK (and per variant at perQueryTopK),
+    // so a topK above those has to widen the search itself
+    const { candidates, variants, timing, traceId } = await rag.retrieve(
+      query,
+      {
+        store: state.store,
+        filter,
+        principal: principalFromRequest(req),
+        augment: Boolean(body.augment),
+        params: {
+          finalTopK: Math.max(topK, config.retrieval.finalTopK),
+          perQueryTopK: Math.max(topK, config.retrieval.perQueryTopK),
+        },
+      }
+    );
+    scheduleCacheFlush();
+
+    return {
+      query,
+      variants,
+      hits: candidates.slice(0, topK),
+      timing,
+      ...(traceId && { traceId }),
+    };
+  },
+
+  "POST /ask": async (body, { req, res }) => {
+    const question = requireString(body, "question");
+    const filter = validateFilter(body.filter);
+    const history = validateHistory(body.history);
+
+    // Same shape as `npm run ask -- --json`; with RAG_VERIFY_ON_FAIL=refuse
+    // an unsupported answer comes back as REFUSAL
+    if (!wantsStream(body, req)) {
+      const result = await rag.ask(question, {
+        store: state.store,
+        filter,
+        principal: principalFromRequest(req),
+        history,
+      });
+      scheduleCacheFlush();
+      return result;
+    }
+
+    // Streamed: headers go out right away, so failures become an "error" event
+    const send = openEventStream(res);
+    try {
+      const result = await rag.ask(question, {
+        store: state.store,
+        filter,
+        principal: principalFromRequest(req),
+        history,
+        onRetrieved: ({ hits }) => send("retrieval", { hits }),
+        onDelta:
+          config.verify.onFail === "refuse"
+            ? undefined
+            : (text) => send("delta", { text }),
+        onCitation: (citation) => send("citation", citation),
+      });
+      send("done", result);
+    } catch (err) {
+      send("error", errorResponse(err)[1]);
+    } finally {
+      scheduleCacheFlush();
+      res.end();
+    }
+  },
+
+  "POST /reindex": async () => {
+    if (state.reindexing) throw new HttpError(409, "Reindex already running");
+
+    state.reindexing = buildIndex({
+      log: (msg, obj) => log.info(msg, obj),
+    });
+    try {
+      const { store, summary } = await state.reindexing;
+      // Swap in the freshly built index; in-flight requests keep the old one
+      state.store = store;
+      state.loadedAt = new Date().toISOString();
+      return { chunks: store.items.length, summary };
+    } finally {
+      state.reindexing = null;
+    }
+  },
+};
+
+/* ----------------------------- Server ---------------------------- */
+
+function errorResponse(err) {
+  if (err instanceof HttpError) return [err.status, { error: err.message }];
+
+  const info = classifyOpenAIError(err);
+  const hint = quotaHint(err);
+  if (hint) return [503, { error: hint, code: info.code }];
+  if (info.isRateLimit) {
+    return [429, { error: "Rate limited even after retries", code: info.code }];
+  }
+  return [500, { error: info.message || String(err) }];
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const route = routes[`${req.method} ${pathname}`];
+
+  if (!route) {
+    const known = Object.keys(routes).some((r) => r.endsWith(` ${pathname}`));
+    return sendJson(res, known ? 405 : 404, {
+      error: known ? "Method not allowed" : "Not found",
+    });
+  }
+
+  const t0 = Date.now();
+  try {
+    const body = req.method === "POST" ? await readJsonBody(req) : {};
+    const result = await route(body, { req, res });
+    // Streaming routes write their own response
+    if (!res.headersSent) sendJson(res, 200, result);
+    log.debug(`${req.method} ${pathname} 200`, { ms: Date.now() - t0 });
+  } catch (err) {
+    const [status, payload] = errorResponse(err);
+    if (status >= 500) log.err(`${req.method} ${pathname} failed`, payload);
+    sendJson(res, status, payload);
+  }
+}
+
+async function main() {
+  await loadStore();
+
+  const server = http.createServer((req, res) => {
+    handle(req, res);
+  });
+
+  let closing = false;
+  const shutdown = async () => {
+    if (closing) return;
+    closing = true;
+    log.info("Shutting down...");
+    server.close();
+    clearTimeout(flushTimer);
+    await flushing;
+    await rag.saveCaches();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  server.listen(PORT, HOST, () => {
+    log.ok(`RAG server listening on http://${HOST}:${PORT}`);
+  });
+}
+
+main().catch((e) => {
+  log.err("Server failed to start", { message: e.message });
+  process.exit(1);
+});
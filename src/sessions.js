@@ -0,0 +1,88 @@
+/**
+ * sessions.js
+ * -----------
+ * Chat sessions on disk, one JSON file per session under .sessions/, so a
+ * conversation can be resumed later (npm run chat -- --session <id>).
+ *
+ * {
+ *   id, createdAt, updatedAt,
+ *   filter,                                   // retrieval filter the chat started with
+ *   scope,                                    // access scope (acl.js) it ran under
+ *   turns: [{ question, standalone, answer, rendered, citations, at }]
+ * }
+ *
+ * Answers quote the documents the chat's groups could read, so a session
+ * only resumes under the same scope (see chat.js).
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { saveJSON, loadJSON } from "./lib.js";
+
+export const SESSIONS_DIR = ".sessions";
+
+const ID_RE = /^[\w.-]+$/;
+
+function sessionPath(id) {
+  if (!ID_RE.test(id)) {
+    throw new Error(
+      `Invalid session id "${id}" (letters, digits, ".", "_" and "-" only)`
+    );
+  }
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+// Sortable default id, e.g. "chat-2026-03-01T10-15-42"
+export function newSessionId(now = new Date()) {
+  return `chat-${now.toISOString().slice(0, 19).replace(/:/g, "-")}`;
+}
+
+export function createSession(
+  id = newSessionId(),
+  { filter = {}, scope = "" } = {}
+) {
+  const now = new Date().toISOString();
+  return { id, createdAt: now, updatedAt: now, filter, scope, turns: [] };
+}
+
+// Returns null if the session doesn't exist yet
+export async function loadSession(id) {
+  try {
+    return await loadJSON(sessionPath(id));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export async function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  await saveJSON(sessionPath(session.id), session);
+}
+
+// [{ id, updatedAt, turns }] newest first
+export async function listSessions() {
+  let files;
+  try {
+    files = await fs.readdir(SESSIONS_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const sessions = [];
+  for (const f of files.filter((f) => f.endsWith(".json"))) {
+    try {
+      const s = await loadJSON(path.join(SESSIONS_DIR, f));
+      sessions.push({
+        id: s.id,
+        updatedAt: s.updatedAt,
+        turns: s.turns.length,
+      });
+    } catch {
+      // Unreadable session file; skip it
+    }
+  }
+  return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
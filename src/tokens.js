@@ -0,0 +1,41 @@
+/**
+ * tokens.js
+ * ---------
+ * Real BPE token counting (tiktoken ranks, pure JS) so chunk sizes and the
+ * context budget are measured the way the model measures them.
+ *
+ * RAG_TOKENIZER picks the encoding: "o200k_base" (gpt-4o / gpt-4.1 family,
+ * default) or "cl100k_base" (text-embedding-3-*, gpt-4, gpt-3.5).
+ */
+
+import { getEncoding } from "js-tiktoken";
+
+const DEFAULT_ENCODING = process.env.RAG_TOKENIZER || "o200k_base";
+
+const encoders = new Map();
+
+// Loading ranks is not free, so encoders are created once and reused
+function encoder(name = DEFAULT_ENCODING) {
+  if (!encoders.has(name)) encoders.set(name, getEncoding(name));
+  return encoders.get(name);
+}
+
+// Special-token strings ("<|endoftext|>") in documents or questions are
+// plain text here; js-tiktoken would otherwise throw on them
+export function encodeTokens(text, encoding) {
+  return encoder(encoding).encode(text, [], []);
+}
+
+export function decodeTokens(tokens, encoding) {
+  return encoder(encoding).decode(tokens);
+}
+
+export function countTokens(text, encoding) {
+  return encodeTokens(text, encoding).length;
+}
+
+export function truncateToTokens(text, maxTokens, encoding) {
+  const tokens = encodeTokens(text, encoding);
+  if (tokens.length <= maxTokens) return text;
+  return decodeTokens(tokens.slice(0, Math.max(0, maxTokens)), encoding);
+}
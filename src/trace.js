@@ -0,0 +1,174 @@
+/**
+ * trace.js
+ * --------
+ * Structured per-run telemetry: every ask() / retrieve() of ask, chat and
+ * the server appends one JSON line to a local trace log
+ * (.traces/traces.jsonl, RAG_TRACE_FILE moves it; RAG_TRACE=false turns it
+ * off), so a bad answer can be reconstructed after the fact:
+ * npm run trace -- show <id>. Library callers opt in with config.trace
+ * (see rag.js); eval never traces.
+ *
+ * A trace (written by rag.js; stages that didn't run are missing, e.g.
+ * everything after the failing stage when `error` is set):
+ * {
+ *   id, at, kind: "ask" | "retrieve", error?: { message, stage },
+ *   principal: { id, groups }, models: { embed, gen },
+ *   question, standalone, index, filter, params,
+ *   rewrites, hyde,
+ *   variants: [{ kind: dense|lexical, text, hits: [{ id, score }] }],
+ *   merged:   [{ id, score, denseScore?, lexicalScore?, rerankScore? }],
+ *   selected: [id],                       // after pickDiverse
+ *   context:  { blocks: [id], tokens },   // what the prompt got
+ *   prompt:   { tokens, chars },          // ask only
+ *   answer:   { chars, refused, verdict, citations: [id] },
+ *   timing, usage, cache: { [stage]: { hits, misses } }
+ * }
+ * Chunk ids and scores only, never chunk content. With question redaction
+ * on (see redact.js) the question is stored redacted.
+ *
+ * The log rotates to traces.1.jsonl past RAG_TRACE_MAX_BYTES (50MB); `show`
+ * searches both.
+ */
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import readline from "node:readline";
+
+export const TRACE_PATH = process.env.RAG_TRACE_FILE || ".traces/traces.jsonl";
+
+const MAX_BYTES = Number(process.env.RAG_TRACE_MAX_BYTES || 50 * 1024 * 1024);
+
+// Sortable and unique enough across concurrent runs, e.g. "t-20260301T101542-3fa9c1"
+export function newTraceId(now = new Date()) {
+  const stamp = now.toISOString().slice(0, 19).replace(/[-:]/g, "");
+  return `t-${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function rotatedPath(file) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.1${ext}`;
+}
+
+/**
+ * appendTrace(trace, { file })
+ * One line per trace; appends are a single write, so concurrent runs
+ * (server) don't interleave within a line.
+ */
+export async function appendTrace(trace, { file = TRACE_PATH } = {}) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  try {
+    if ((await fsp.stat(file)).size > MAX_BYTES) {
+      await fsp.rename(file, rotatedPath(file));
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  await fsp.appendFile(file, JSON.stringify(trace) + "\n", "utf-8");
+}
+
+// Every trace in the log, oldest first (rotated file before current)
+export async function* readTraces({ file = TRACE_PATH } = {}) {
+  for (const f of [rotatedPath(file), file]) {
+    if (!fs.existsSync(f)) continue;
+    const lines = readline.createInterface({
+      input: fs.createReadStream(f, "utf-8"),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // A line cut short by a crash; skip it
+      }
+    }
+  }
+}
+
+// Exact id, else the latest trace whose id starts with `id`
+export async function findTrace(id, { file } = {}) {
+  let match = null;
+  for await (const trace of readTraces({ file })) {
+    if (trace.id === id) return trace;
+    if (trace.id?.startsWith(id)) match = trace;
+  }
+  return match;
+}
+
+/* ----------------------------- Formatting ----------------------------- */
+
+const fmtScore = (s) => (typeof s === "number" ? s.toFixed(4) : "-");
+
+function hitLine(h, i) {
+  const parts = [`score ${fmtScore(h.score)}`];
+  if (h.denseScore != null) parts.push(`dense ${fmtScore(h.denseScore)}`);
+  if (h.lexicalScore != null) parts.push(`lexical ${fmtScore(h.lexicalScore)}`);
+  if (h.rerankScore != null) parts.push(`rerank ${fmtScore(h.rerankScore)}`);
+  return `  ${String(i + 1).padStart(2)}. ${h.id}  (${parts.join(", ")})`;
+}
+
+/**
+ * Human-readable view of one trace (npm run trace -- show <id>).
+ */
+export function formatTrace(t) {
+  const out = [];
+  const section = (title) => out.push("", `===== ${title} =====`);
+
+  out.push(`🧭 Trace ${t.id}  (${t.kind}, ${t.at}, ${t.timing?.totalMs}ms)`);
+  if (t.error) {
+    out.push(
+      `❌ Failed${t.error.stage ? ` at ${t.error.stage}` : ""}: ${t.error.message}`
+    );
+  }
+  out.push(`Question:   ${t.question}`);
+  if (t.standalone && t.standalone !== t.question) {
+    out.push(`Standalone: ${t.standalone}`);
+  }
+  out.push(
+    `Models:     embed ${t.models?.embed}, gen ${t.models?.gen}`,
+    `Index:      ${[].concat(t.index ?? []).join(", ")}`
+  );
+  if (t.principal?.groups?.length) {
+    out.push(`Groups:     ${t.principal.groups.join(", ")}`);
+  }
+  if (t.filter && Object.keys(t.filter).length > 0) {
+    out.push(`Filter:     ${JSON.stringify(t.filter)}`);
+  }
+
+  section("AUGMENTATION");
+  out.push(`Rewrites: ${t.rewrites?.length ? "" : "(none)"}`);
+  for (const r of t.rewrites ?? []) out.push(`  - ${r}`);
+  out.push(`HyDE: ${t.hyde || "(none)"}`);
+
+  section("RETRIEVAL");
+  for (const v of t.variants ?? []) {
+    out.push(`[${v.kind}] ${v.text}`);
+    v.hits.forEach((h, i) => out.push(hitLine(h, i)));
+  }
+  out.push("", `Merged (${t.merged?.length ?? 0}):`);
+  (t.merged ?? []).forEach((h, i) => out.push(hitLine(h, i)));
+  out.push("", `Selected: ${(t.selected ?? []).join(", ") || "(none)"}`);
+  if (t.context) {
+    out.push(
+      `Context:  ${t.context.blocks.length} block(s), ${t.context.tokens} tokens`
+    );
+  }
+
+  if (t.answer) {
+    section("ANSWER");
+    out.push(
+      `Prompt:        ${t.prompt?.tokens} tokens, ${t.prompt?.chars} chars`,
+      `Answer chars:  ${t.answer.chars}`,
+      `Verification:  ${t.answer.verdict ?? "-"}${t.answer.refused ? " (refused)" : ""}`,
+      `Citations:     ${t.answer.citations.join(", ") || "(none)"}`
+    );
+  }
+
+  section("COST");
+  out.push(`Timing (ms): ${JSON.stringify(t.timing ?? {})}`);
+  out.push(`Usage:       ${JSON.stringify(t.usage ?? {})}`);
+  out.push(`Cache:       ${JSON.stringify(t.cache ?? {})}`);
+  return out.join("\n");
+}
@@ -0,0 +1,75 @@
+/**
+ * traceCli.js
+ * -----------
+ * Read the trace log written by ask / chat / the server (see
+ * trace.js).
+ *
+ * Usage:
+ *   npm run trace -- list [--limit 20]    (latest runs, newest last)
+ *   npm run trace -- show <id> [--json]   (an id prefix is enough)
+ */
+
+import { parseArgs } from "node:util";
+import { TRACE_PATH, readTraces, findTrace, formatTrace } from "./trace.js";
+
+const USAGE = "Usage: npm run trace -- list [--limit <n>] | show <id> [--json]";
+
+function summaryLine(t) {
+  const status = t.error
+    ? `❌ ${t.error.stage ?? "error"}`
+    : t.answer?.refused
+      ? "🚫 refused"
+      : "✅";
+  const question =
+    t.question?.length > 70 ? `${t.question.slice(0, 69)}…` : t.question;
+  return `${t.id}  ${t.kind.padEnd(8)} ${String(t.timing?.totalMs ?? "-").padStart(6)}ms  ${status}  ${question}`;
+}
+
+async function main() {
+  let cli;
+  try {
+    cli = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        limit: { type: "string", default: "20" },
+        json: { type: "boolean" },
+      },
+    });
+  } catch (err) {
+    throw new Error(`${err.message}\n\n${USAGE}`);
+  }
+  const [command, id] = cli.positionals;
+
+  if (command === "list") {
+    const limit = Number(cli.values.limit);
+    const latest = [];
+    for await (const t of readTraces()) {
+      latest.push(t);
+      if (latest.length > limit) latest.shift();
+    }
+    if (latest.length === 0) console.log(`No traces in ${TRACE_PATH}`);
+    for (const t of latest) console.log(summaryLine(t));
+    return;
+  }
+
+  if (command === "show" && id) {
+    const trace = await findTrace(id);
+    if (!trace) {
+      console.log(`❌ No trace "${id}" in ${TRACE_PATH}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(
+      cli.values.json ? JSON.stringify(trace, null, 2) : formatTrace(trace)
+    );
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+main().catch((e) => {
+  console.error(e.message.endsWith(USAGE) ? e.message : e);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+/**
+ * vectorFile.js
+ * -------------
+ * Compact binary container for the embedding matrix (one row per chunk).
+ *
+ * Layout (little-endian):
+ *   0   "RAGV"        magic (4 bytes)
+ *   4   u32 version   (1)
+ *   8   u32 dtype     (0 = float32, 1 = int8)
+ *   12  u32 count     rows
+ *   16  u32 dim       columns
+ *   20  ...data
+ *       float32: count*dim f32
+ *       int8:    count f32 per-row scales, then count*dim i8
+ *
+ * int8 uses symmetric per-row scaling (x ~= q * scale), ~4x smaller on disk.
+ * Reading always returns a Float32Array so search code has one path.
+ */
+
+import fs from "node:fs/promises";
+import { writeFileAtomic } from "./lib.js";
+
+const MAGIC = "RAGV";
+const VERSION = 1;
+const HEADER_BYTES = 20;
+
+export const DTYPES = { float32: 0, int8: 1 };
+
+export function packVectors(vectors, dim) {
+  const matrix = new Float32Array(vectors.length * dim);
+  vectors.forEach((v, i) => {
+    if (v.length !== dim) {
+      throw new Error(
+        `Embedding dimension mismatch at row ${i}: ${v.length} != ${dim}`
+      );
+    }
+    matrix.set(v, i * dim);
+  });
+  return matrix;
+}
+
+export function encodeVectors(matrix, { count, dim, dtype = "float32" }) {
+  if (!(dtype in DTYPES)) {
+    throw new Error(`Unknown vector dtype "${dtype}" (expected float32|int8)`);
+  }
+
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, "ascii");
+  header.writeUInt32LE(VERSION, 4);
+  header.writeUInt32LE(DTYPES[dtype], 8);
+  header.writeUInt32LE(count, 12);
+  header.writeUInt32LE(dim, 16);
+
+  if (dtype === "float32") {
+    return Buffer.concat([
+      header,
+      Buffer.from(matrix.buffer, matrix.byteOffset, count * dim * 4),
+    ]);
+  }
+
+  const scales = new Float32Array(count);
+  const q = new Int8Array(count * dim);
+  for (let i = 0; i < count; i++) {
+    const off = i * dim;
+    let maxAbs = 0;
+    for (let j = 0; j < dim; j++) {
+      maxAbs = Math.max(maxAbs, Math.abs(matrix[off + j]));
+    }
+    const scale = maxAbs / 127 || 1;
+    scales[i] = scale;
+    for (let j = 0; j < dim; j++) {
+      q[off + j] = Math.round(matrix[off + j] / scale);
+    }
+  }
+
+  return Buffer.concat([
+    header,
+    Buffer.from(scales.buffer),
+    Buffer.from(q.buffer),
+  ]);
+}
+
+export function decodeVectors(buf) {
+  if (buf.toString("ascii", 0, 4) !== MAGIC) {
+    throw new Error("Not a vector file (bad magic)");
+  }
+  const version = buf.readUInt32LE(4);
+  if (version !== VERSION) {
+    throw new Error(`Unsupported vector file version ${version}`);
+  }
+  const dtypeCode = buf.readUInt32LE(8);
+  const count = buf.readUInt32LE(12);
+  const dim = buf.readUInt32LE(16);
+
+  // Copy into fresh, aligned typed arrays (Buffer offsets may be unaligned)
+  const body = buf.subarray(HEADER_BYTES);
+
+  if (dtypeCode === DTYPES.float32) {
+    const matrix = new Float32Array(count * dim);
+    new Uint8Array(matrix.buffer).set(body.subarray(0, count * dim * 4));
+    return { matrix, count, dim, dtype: "float32" };
+  }
+
+  if (dtypeCode === DTYPES.int8) {
+    const scales = new Float32Array(count);
+    new Uint8Array(scales.buffer).set(body.subarray(0, count * 4));
+    const q = new Int8Array(count * dim);
+    new Uint8Array(q.buffer).set(
+      body.subarray(count * 4, count * 4 + count * dim)
+    );
+
+    const matrix = new Float32Array(count * dim);
+    for (let i = 0; i < count; i++) {
+      const off = i * dim;
+      let norm = 0;
+      for (let j = 0; j < dim; j++) {
+        const x = q[off + j] * scales[i];
+        matrix[off + j] = x;
+        norm += x * x;
+      }
+      // Re-normalize so cosine == dot still holds after rounding
+      norm = Math.sqrt(norm) || 1;
+      for (let j = 0; j < dim; j++) matrix[off + j] /= norm;
+    }
+    return { matrix, count, dim, dtype: "int8" };
+  }
+
+  throw new Error(`Unknown vector dtype code ${dtypeCode}`);
+}
+
+export async function writeVectorFile(filePath, matrix, opts) {
+  await writeFileAtomic(filePath, encodeVectors(matrix, opts));
+}
+
+export async function readVectorFile(filePath) {
+  return decodeVectors(await fs.readFile(filePath));
+}
@@ -1,56 +1,607 @@
-import {
-  loadJSON,
-  saveJSON,
-  normalizeVec,
-  cosineSimUnitVectors,
-} from "./lib.js";
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { loadJSON, saveJSON, normalizeVec } from "./lib.js";
+import { BM25Index, fuseRankings } from "./bm25.js";
+import { packVectors, readVectorFile, writeVectorFile } from "./vectorFile.js";
+import { HNSWIndex } from "./hnsw.js";
+import { compileFilter } from "./filter.js";
+import { canAccess, isRestricted } from "./acl.js";
+
+export const SEARCH_MODES = ["dense", "lexical", "hybrid"];
+
+/**
+ * On-disk layout (format "rag-store", version 2):
+ * - store.json: header + settings + files + BM25 index + items WITHOUT vectors
+ * - store.<gen>.vec:  binary embedding matrix (float32 or int8, see vectorFile.js)
+ * - store.<gen>.hnsw.json: optional ANN graph over the matrix rows (see hnsw.js)
+ *
+ * save() writes a new generation of the companion files first, then swaps
+ * store.json in with a rename, so a reader sees either the old index or the
+ * new one, never a mix. The previous generation is kept for readers that
+ * loaded the old store.json just before the swap; older ones are deleted.
+ * (Indexes saved before generations existed use store.vec / store.hnsw.json;
+ * the header names the files, so both load.)
+ *
+ * Version 1 (everything, floats included, in one pretty-printed JSON) still
+ * loads; the next save() writes the new layout. See migrateIndex.js.
+ *
+ * store.json also carries a manifest (see stampManifest) recording what the
+ * index was built with. Query embeddings from another model live in a
+ * different vector space, so load({ expect }) checks it and refuses (or
+ * warns, strict: false) on mismatch.
+ */
+export const STORE_FORMAT = "rag-store";
+export const STORE_VERSION = 2;
+
+export class IndexMismatchError extends Error {
+  constructor(indexPath, problems) {
+    super(
+      `Index ${indexPath} is incompatible: ${problems.join("; ")}. ` +
+        `Re-run "npm run index" with the current embedding settings.`
+    );
+    this.name = "IndexMismatchError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * checkManifest(manifest, expect)
+ * - expect: { embedModel, dimensions } of the querying side (either optional)
+ * - Returns human-readable problems; [] when compatible
+ */
+export function checkManifest(manifest, expect = {}) {
+  const problems = [];
+  if (
+    expect.embedModel &&
+    manifest.embedModel &&
+    expect.embedModel !== manifest.embedModel
+  ) {
+    problems.push(
+      `built with embedding model "${manifest.embedModel}", queries use "${expect.embedModel}"`
+    );
+  }
+  if (
+    expect.dimensions &&
+    manifest.dimensions &&
+    expect.dimensions !== manifest.dimensions
+  ) {
+    problems.push(
+      `index vectors have ${manifest.dimensions} dimensions, query vectors ${expect.dimensions}`
+    );
+  }
+  return problems;
+}
 
 export class LocalVectorStore {
-  constructor(items = []) {
+  constructor(
+    items = [],
+    {
+      files = {},
+      settings = null,
+      lexical = null,
+      embedModel = null,
+      quantization = "float32",
+      manifest = null,
+    } = {}
+  ) {
     // items: [{ id, source, chunkIndex, content, embeddingUnit }]
     this.items = items;
+    // files: { [source]: { hash, chunks } } -> used for incremental re-indexing
+    this.files = files;
+    // settings: chunking settings the index was built with
+    this.settings = settings;
+    // lexical: BM25 inverted index over item content (see bm25.js)
+    this.lexical = lexical;
+    // embedModel: which embedding model produced the vectors
+    this.embedModel = embedModel;
+    // quantization: on-disk vector dtype ("float32" | "int8")
+    this.quantization = quantization;
+    // manifest: build provenance, null for indexes saved before manifests
+    this.manifest = manifest;
+    // non-fatal problems found by load() (strict: false / missing manifest)
+    this.warnings = [];
+    // collection names when this store was built by merge()
+    this.collections = null;
+    // true when loaded from the old single-JSON layout
+    this.legacy = false;
+    // lazily packed embedding matrix, rebuilt after add/remove
+    this._packed = null;
+    // optional HNSW graph; when present, search() is approximate
+    this.ann = null;
+    // lazily computed: does any item carry ACL groups? (see acl.js)
+    this._restricted = null;
   }
 
-  static async load(filePath) {
+  /**
+   * load(filePath, { expect, strict })
+   * - expect: { embedModel, dimensions } to check the manifest against
+   * - strict: throw IndexMismatchError on mismatch (default); when false the
+   *           problems end up in store.warnings instead
+   */
+  static async load(filePath, { expect, strict = true } = {}) {
     const data = await loadJSON(filePath);
-    return new LocalVectorStore(data.items || []);
+    const store =
+      data.format === STORE_FORMAT
+        ? await LocalVectorStore.fromData(data, filePath)
+        : LocalVectorStore.fromLegacy(data);
+    if (!expect) return store;
+
+    // Older indexes have no manifest; their header still names the model
+    const manifest = store.manifest || {
+      embedModel: store.embedModel,
+      dimensions: store.dimensions(),
+    };
+    if (!store.manifest) {
+      store.warnings.push(
+        `index has no manifest (built before manifests existed); re-run "npm run index" to record one`
+      );
+    }
+    const problems = checkManifest(manifest, expect);
+    if (problems.length > 0 && strict) {
+      throw new IndexMismatchError(filePath, problems);
+    }
+    store.warnings.push(...problems);
+    return store;
+  }
+
+  static async fromData(data, filePath) {
+    if (data.version !== STORE_VERSION) {
+      throw new Error(
+        `Unsupported index version ${data.version} in ${filePath} (expected ${STORE_VERSION})`
+      );
+    }
+
+    const { header } = data;
+    const items = data.items || [];
+    const store = new LocalVectorStore(items, {
+      files: data.files || {},
+      settings: data.settings || null,
+      lexical: data.lexical ? BM25Index.fromJSON(data.lexical) : null,
+      embedModel: header.embedModel,
+      quantization: header.quantization,
+      manifest: data.manifest || null,
+    });
+
+    if (items.length === 0) return store;
+
+    const vecPath = path.join(path.dirname(filePath), header.vectorsFile);
+    const { matrix, count, dim } = await readVectorFile(vecPath);
+    if (count !== items.length || dim !== header.dimensions) {
+      throw new Error(
+        `Vector file ${vecPath} does not match ${filePath} (rows ${count}/${items.length}, dim ${dim}/${header.dimensions})`
+      );
+    }
+
+    // Items get zero-copy views into the one matrix
+    items.forEach((it, i) => {
+      it.embeddingUnit = matrix.subarray(i * dim, (i + 1) * dim);
+    });
+    store._packed = { matrix, dim };
+
+    if (header.annFile) {
+      const annPath = path.join(path.dirname(filePath), header.annFile);
+      const ann = HNSWIndex.fromJSON(await loadJSON(annPath));
+      // A graph built for a different item set would return wrong rows
+      if (ann.size === items.length) store.ann = ann.attach(matrix, dim);
+    }
+    return store;
+  }
+
+  // Version 1 layout: { items: [{ ..., embeddingUnit: number[] }] }
+  static fromLegacy(data) {
+    const items = (data.items || []).map((it) => ({
+      ...it,
+      embeddingUnit: Float32Array.from(it.embeddingUnit),
+    }));
+    const store = new LocalVectorStore(items, {
+      files: data.files || {},
+      settings: data.settings || null,
+      lexical: data.lexical ? BM25Index.fromJSON(data.lexical) : null,
+    });
+    store.legacy = true;
+    return store;
+  }
+
+  /**
+   * merge([{ name, store }])
+   * One read-only store over several collections' indexes, for searching
+   * them together. Items are labelled with their collection (ids become
+   * "<name>:<id>" so collections over the same files don't collide). Scores
+   * stay comparable because load() checked every manifest against the same
+   * embedder; the ANN graphs don't carry over, so search is exact.
+   */
+  static merge(named) {
+    const items = [];
+    const files = {};
+    for (const { name, store } of named) {
+      for (const it of store.items) {
+        items.push({ ...it, id: `${name}:${it.id}`, collection: name });
+      }
+      Object.assign(files, store.files);
+    }
+    const merged = new LocalVectorStore(items, {
+      files,
+      embedModel: named[0]?.store.embedModel ?? null,
+    });
+    merged.collections = named.map(({ name }) => name);
+    merged.warnings = named.flatMap(({ name, store }) =>
+      store.warnings.map((w) => `${name}: ${w}`)
+    );
+    return merged;
+  }
+
+  dimensions() {
+    return this.items[0]?.embeddingUnit.length ?? 0;
+  }
+
+  packed() {
+    if (!this._packed) {
+      const dim = this.dimensions();
+      const matrix = packVectors(
+        this.items.map((it) => it.embeddingUnit),
+        dim
+      );
+      this._packed = { matrix, dim };
+    }
+    return this._packed;
+  }
+
+  // Build the approximate index over the current items (see hnsw.js for knobs)
+  buildAnnIndex(opts = {}) {
+    const { matrix, dim } = this.packed();
+    this.ann = HNSWIndex.build(matrix, dim, opts);
+    return this.ann;
   }
 
   async save(filePath) {
-    await saveJSON(filePath, { items: this.items });
+    const dim = this.dimensions();
+    const base = path.basename(filePath, ".json");
+    const gen = Date.now().toString(36);
+    const vectorsFile = `${base}.${gen}.vec`;
+    const annFile = this.ann ? `${base}.${gen}.hnsw.json` : null;
+
+    if (annFile) {
+      await saveJSON(path.join(path.dirname(filePath), annFile), this.ann, {
+        pretty: false,
+      });
+    }
+
+    await writeVectorFile(
+      path.join(path.dirname(filePath), vectorsFile),
+      this.packed().matrix,
+      { count: this.items.length, dim, dtype: this.quantization }
+    );
+
+    await saveJSON(
+      filePath,
+      {
+        format: STORE_FORMAT,
+        version: STORE_VERSION,
+        header: {
+          embedModel: this.embedModel,
+          dimensions: dim,
+          count: this.items.length,
+          quantization: this.quantization,
+          vectorsFile,
+          annFile,
+        },
+        manifest: this.manifest,
+        settings: this.settings,
+        files: this.files,
+        lexical: this.lexical || this.buildLexicalIndex(),
+        items: this.items.map(({ embeddingUnit, ...rest }) => rest),
+      },
+      { pretty: false }
+    );
+    this.legacy = false;
+
+    await pruneGenerations(filePath, gen);
+  }
+
+  /**
+   * stampManifest({ embedProvider, collection })
+   * Records what the index is being built with; call before save().
+   * corpusHash covers every indexed file's content hash, so two indexes
+   * with the same hash (and settings) were built from the same documents.
+   */
+  stampManifest({ embedProvider = null, collection = null } = {}) {
+    const corpus = crypto.createHash("sha256");
+    for (const source of Object.keys(this.files).sort()) {
+      corpus.update(`${source}\0${this.files[source].hash}\n`);
+    }
+    this.manifest = {
+      collection,
+      embedProvider,
+      embedModel: this.embedModel,
+      dimensions: this.dimensions(),
+      chunking: {
+        chunk: this.settings?.chunk ?? null,
+        chunkers: this.settings?.chunkers ?? null,
+        metadataVersion: this.settings?.metadataVersion ?? null,
+        include: this.settings?.include ?? null,
+      },
+      quantization: this.quantization,
+      redaction: this.settings?.redaction?.mode ?? "off",
+      docCount: Object.keys(this.files).length,
+      chunkCount: this.items.length,
+      corpusHash: corpus.digest("hex"),
+      builtAt: new Date().toISOString(),
+    };
+    return this.manifest;
   }
 
   add(item) {
     this.items.push(item);
+    this._restricted = null;
+    this.lexical = null;
+    this._packed = null;
+    this.ann = null;
+  }
+
+  sources() {
+    // Older stores have no `files` map, so also derive sources from items
+    const set = new Set(Object.keys(this.files));
+    for (const it of this.items) set.add(it.source);
+    return [...set];
+  }
+
+  removeBySource(source) {
+    const before = this.items.length;
+    this.items = this.items.filter((it) => it.source !== source);
+    this._restricted = null;
+    this.lexical = null;
+    this._packed = null;
+    this.ann = null;
+    delete this.files[source];
+    return before - this.items.length;
+  }
+
+  // Refresh metadata (e.g. mtime) on an unchanged file's chunks without re-embedding
+  // Returns whether any chunk's meta actually changed
+  patchSourceMeta(source, patch) {
+    let changed = false;
+    for (const it of this.items) {
+      if (it.source !== source) continue;
+      const differs = Object.entries(patch).some(
+        ([k, v]) => JSON.stringify(it.meta?.[k]) !== JSON.stringify(v)
+      );
+      if (!differs) continue;
+      it.meta = { ...it.meta, ...patch };
+      changed = true;
+    }
+    if (changed) this._restricted = null;
+    return changed;
+  }
+
+  replaceSource(source, items, fileInfo) {
+    this.removeBySource(source);
+    for (const it of items) this.add(it);
+    this.files[source] = { ...fileInfo, chunks: items.length };
   }
 
-  search(queryEmbeddingUnit, { topK = 8 } = {}) {
-    const scored = this.items.map((it) => ({
-      item: it,
-      score: cosineSimUnitVectors(queryEmbeddingUnit, it.embeddingUnit),
+  hasRestricted() {
+    this._restricted ??= this.items.some(isRestricted);
+    return this._restricted;
+  }
+
+  /**
+   * The filter (see filter.js) AND'ed with `principal`'s access (see
+   * acl.js). No principal means a trusted caller (no ACL check); the RAG
+   * pipeline always passes one. Null when nothing is excluded, so stores
+   * without restricted documents keep the ANN fast path.
+   */
+  predicateFor(filter, principal) {
+    const predicate = toPredicate(filter);
+    if (!principal || !this.hasRestricted()) return predicate;
+    const visible = (item) => canAccess(item, principal);
+    return predicate ? (item) => visible(item) && predicate(item) : visible;
+  }
+
+  /**
+   * Dot product (== cosine for unit vectors) search.
+   * Uses the HNSW graph when one was built (`ef` trades speed for recall),
+   * otherwise (or with `exact: true`) scans the packed matrix.
+   * `filter` and `principal` drop items before scoring; such queries
+   * always scan exactly, since the graph can't skip excluded nodes cheaply.
+   */
+  search(
+    queryEmbeddingUnit,
+    { topK = 8, exact = false, ef, filter, principal } = {}
+  ) {
+    const accept = this.predicateFor(filter, principal);
+
+    if (this.ann && !exact && !accept) {
+      return this.ann
+        .search(queryEmbeddingUnit, { topK, ef })
+        .map(({ index, score }) => ({ item: this.items[index], score }));
+    }
+
+    const { matrix, dim } = this.packed();
+    const top = new TopK(topK);
+
+    for (let i = 0; i < this.items.length; i++) {
+      if (accept && !accept(this.items[i])) continue;
+      const off = i * dim;
+      let s = 0;
+      for (let j = 0; j < dim; j++)
+        s += queryEmbeddingUnit[j] * matrix[off + j];
+      top.push(i, s);
+    }
+
+    return top.sorted().map(({ index, score }) => ({
+      item: this.items[index],
+      score,
     }));
+  }
 
-    scored.sort((a, b) => b.score - a.score);
-    return scored.slice(0, topK);
+  buildLexicalIndex() {
+    this.lexical = BM25Index.build(this.items);
+    return this.lexical;
   }
 
-  // For multi-query retrieval: keep best score per chunk across multiple query embeddings
-  searchMulti(queryEmbeddingUnits, { perQueryTopK = 8, finalTopK = 20 } = {}) {
-    const best = new Map(); // id -> { item, score }
+  lexicalSearch(queryText, { topK = 8, filter, principal } = {}) {
+    // Older stores have no saved BM25 index; build it on first use
+    const lexical = this.lexical || this.buildLexicalIndex();
+    const byId = new Map(this.items.map((it) => [it.id, it]));
+    const predicate = this.predicateFor(filter, principal);
+    const accept = predicate
+      ? (id) => byId.has(id) && predicate(byId.get(id))
+      : null;
 
-    for (const q of queryEmbeddingUnits) {
-      const hits = this.search(q, { topK: perQueryTopK });
-      for (const h of hits) {
-        const prev = best.get(h.item.id);
-        if (!prev || h.score > prev.score) best.set(h.item.id, h);
-      }
+    return lexical
+      .search(queryText, { topK, accept })
+      .filter((h) => byId.has(h.id))
+      .map((h) => ({ item: byId.get(h.id), score: h.score }));
+  }
+
+  /**
+   * For multi-query retrieval.
+   * - "dense" (default): keep best cosine score per chunk across query embeddings
+   * - "lexical": same, but BM25 over `queryTexts`
+   * - "hybrid": dense + lexical hit lists per variant, fused (RRF or weighted)
+   *
+   * queryTexts[i] is the text that produced queryEmbeddingUnits[i].
+   * `filter` (see filter.js) and `principal` (see acl.js) apply to every
+   * mode, before scoring. `onLists` receives the per-variant hit lists
+   * before they are merged: [{ kind: dense|lexical, variant: i, hits }].
+   */
+  searchMulti(
+    queryEmbeddingUnits,
+    {
+      perQueryTopK = 8,
+      finalTopK = 20,
+      queryTexts = [],
+      mode = "dense",
+      fusion = "rrf",
+      denseWeight = 1,
+      lexicalWeight = 1,
+      rrfK = 60,
+      exact = false,
+      ef,
+      filter,
+      principal,
+      onLists,
+    } = {}
+  ) {
+    // Compile once, not per variant (the sub-searches get no principal,
+    // its check is already part of the predicate)
+    filter = this.predicateFor(filter, principal);
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(
+        `Unknown search mode "${mode}" (expected ${SEARCH_MODES.join("|")})`
+      );
+    }
+
+    const dense = (q, variant) => ({
+      kind: "dense",
+      variant,
+      weight: denseWeight,
+      hits: this.search(q, { topK: perQueryTopK, exact, ef, filter }),
+    });
+    const lexical = (t, variant) => ({
+      kind: "lexical",
+      variant,
+      weight: lexicalWeight,
+      hits: this.lexicalSearch(t, { topK: perQueryTopK, filter }),
+    });
+
+    if (mode === "hybrid") {
+      const lists = [
+        ...queryEmbeddingUnits.map(dense),
+        ...queryTexts.map(lexical),
+      ];
+      onLists?.(lists);
+      return fuseRankings(lists, { method: fusion, rrfK }).slice(0, finalTopK);
     }
 
-    const merged = [...best.values()].sort((a, b) => b.score - a.score);
-    return merged.slice(0, finalTopK);
+    const lists =
+      mode === "lexical"
+        ? queryTexts.map(lexical)
+        : queryEmbeddingUnits.map(dense);
+    onLists?.(lists);
+    return mergeBestScore(lists.map((l) => l.hits)).slice(0, finalTopK);
   }
 }
 
+// Filters may arrive as an expression object or an already-compiled predicate
+function toPredicate(filter) {
+  if (!filter) return null;
+  return typeof filter === "function" ? filter : compileFilter(filter);
+}
+
+// Bounded "best k" collector; avoids sorting every item per query
+class TopK {
+  constructor(k) {
+    this.k = k;
+    this.entries = []; // ascending by score
+  }
+
+  push(index, score) {
+    const { entries, k } = this;
+    if (k <= 0) return;
+    if (entries.length === k && score <= entries[0].score) return;
+
+    let lo = 0;
+    let hi = entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (entries[mid].score < score) lo = mid + 1;
+      else hi = mid;
+    }
+    entries.splice(lo, 0, { index, score });
+    if (entries.length > k) entries.shift();
+  }
+
+  sorted() {
+    return [...this.entries].reverse();
+  }
+}
+
+// Keep best score per chunk across several hit lists
+function mergeBestScore(lists) {
+  const best = new Map(); // id -> { item, score }
+
+  for (const hits of lists) {
+    for (const h of hits) {
+      const prev = best.get(h.item.id);
+      if (!prev || h.score > prev.score) best.set(h.item.id, h);
+    }
+  }
+
+  return [...best.values()].sort((a, b) => b.score - a.score);
+}
+
 export function toUnitEmbedding(embeddingFloatArray) {
   return normalizeVec(embeddingFloatArray);
 }
+
+/**
+ * Deletes companion files of generations older than the previous one.
+ * Generation ids are base36 timestamps; files without one (store.vec,
+ * store.hnsw.json) predate generations and count as oldest.
+ */
+async function pruneGenerations(filePath, current) {
+  const dir = path.dirname(filePath);
+  const base = path.basename(filePath, ".json");
+  const re = new RegExp(
+    `^${base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?:\\.([0-9a-z]+))?\\.(?:vec|hnsw\\.json)$`
+  );
+
+  const files = (await fs.readdir(dir))
+    .map((name) => ({ name, m: name.match(re) }))
+    .filter((f) => f.m)
+    .map(({ name, m }) => ({ name, gen: m[1] ? parseInt(m[1], 36) : 0 }));
+
+  const now = parseInt(current, 36);
+  const previous = Math.max(
+    -1,
+    ...files.map((f) => f.gen).filter((g) => g < now)
+  );
+  const keep = new Set([now, previous]);
+
+  for (const f of files) {
+    if (!keep.has(f.gen)) await fs.rm(path.join(dir, f.name), { force: true });
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * verify.js
+ * ---------
+ * Post-answer check: is the answer actually backed by the context it cites?
+ *
+ * 1) Split the answer into claims (sentences) and attach citations to them.
+ *    A sentence without its own citation borrows the next citation in the
+ *    same line ("A. B. [source: x#1]" cites x#1 for both).
+ * 2) Flag citations to chunks that were never in the context.
+ * 3) Score each claim's support against the chunks it cites:
+ *    - "lexical": share of the claim's content words found in the cited
+ *                 chunks (offline, free, rough)
+ *    - "llm":     the generation model grades each claim 0..1 (falls back to
+ *                 lexical when the judge fails)
+ * 4) Verdict: "ok", or "fail" when citations are invalid or fewer than
+ *    `threshold` of the claims are supported. What to do on "fail" is the
+ *    caller's policy (see RAG_VERIFY_* in rag.js).
+ *
+ * The "not in the context" reply the answer instructions ask for
+ * (ABSTENTION) makes no claims, so it is never scored: its verdict is
+ * "abstained".
+ */
+
+import { tokenize } from "./lib.js";
+import { parseCitations, citationLookup } from "./citations.js";
+import { VERIFY_INSTRUCTIONS, ABSTENTION } from "./prompts.js";
+
+// A claim counts as supported at this score
+const CLAIM_SUPPORT = 0.5;
+// Shorter claims ("Yes.", "See below:") aren't worth checking
+const MIN_CLAIM_WORDS = 3;
+
+export const REFUSAL =
+  "I can't give a reliable answer: the draft answer wasn't supported by the retrieved documents.";
+
+/* ----------------------------- Claims ----------------------------- */
+
+const LABEL_RE = /\[source:[^\]]*\]/g;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by can do does for from has have how if in " +
+    "into is it its may must not of on or should so than that the their then " +
+    "there these this those to was we were what when where which who will with " +
+    "you your our they them also any all each per via"
+  ).split(" ")
+);
+
+// Crude stemming so "refunds"/"refunded" match "refund"
+function stem(t) {
+  return t.length > 4 ? t.replace(/(ing|ed|es|s)$/, "") : t;
+}
+
+function contentWords(text) {
+  return tokenize(text)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * splitClaims()
+ * - Input: answer text with [source: file#N] labels
+ * - Output: [{ text, labels }] with labels removed from text
+ */
+export function splitClaims(answer) {
+  const claims = [];
+
+  for (const line of answer.split("\n")) {
+    const lineClaims = [];
+    for (const piece of line.split(/(?<=[.!?])\s+/)) {
+      const labels = parseCitations(piece).map((c) => c.label);
+      const text = piece
+        .replace(LABEL_RE, "")
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, "")
+        .trim();
+
+      // Trailing "[source: ...]" after the full stop belongs to the sentence before
+      if (!/[\p{L}\p{N}]/u.test(text)) {
+        if (lineClaims.length > 0) lineClaims.at(-1).labels.push(...labels);
+        continue;
+      }
+      lineClaims.push({ text, labels });
+    }
+
+    // Uncited sentences borrow the next citation on the same line
+    let next = [];
+    for (let i = lineClaims.length - 1; i >= 0; i--) {
+      if (lineClaims[i].labels.length > 0) next = lineClaims[i].labels;
+      else lineClaims[i].labels = next;
+    }
+    claims.push(...lineClaims);
+  }
+
+  return claims.filter(
+    (c) =>
+      !c.text.endsWith(":") && contentWords(c.text).length >= MIN_CLAIM_WORDS
+  );
+}
+
+// Models reword the abstention a little (quotes, curly apostrophe, no full stop)
+function normalizeSentence(text) {
+  return text
+    .replace(LABEL_RE, "")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/["\u201c\u201d]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[.!]+$/, "")
+    .toLowerCase();
+}
+
+export function isAbstention(answer) {
+  return normalizeSentence(answer) === normalizeSentence(ABSTENTION);
+}
+
+/* ----------------------------- Scoring ----------------------------- */
+
+function lexicalSupport(claim, chunks) {
+  const words = contentWords(claim.text);
+  const vocab = new Set(chunks.flatMap((c) => contentWords(c.content)));
+  const found = words.filter((w) => vocab.has(w)).length;
+  return words.length > 0 ? found / words.length : 0;
+}
+
+async function judgeSupport(claims, chunksFor, generate) {
+  const input = claims
+    .map((c, i) => {
+      const passages = chunksFor(c)
+        .map((chunk) => `[${chunk.id}]\n${chunk.content}`)
+        .join("\n\n");
+      return `CLAIM ${i + 1}: ${c.text}\nCITED PASSAGES:\n${passages}`;
+    })
+    .join("\n\n===\n\n");
+
+  const resp = await generate({
+    task: "verify",
+    instructions: VERIFY_INSTRUCTIONS,
+    input,
+    temperature: 0,
+  });
+
+  const { scores } = JSON.parse(resp.text);
+  if (!Array.isArray(scores) || scores.length !== claims.length) {
+    throw new Error("Judge returned the wrong number of scores");
+  }
+  return scores.map((s) => Math.min(1, Math.max(0, Number(s) || 0)));
+}
+
+/**
+ * verifyAnswer()
+ * - answer:   raw model answer (with [source: ...] labels)
+ * - included: hits that were in the context
+ * - mode:      "lexical" | "llm" ("off" skips and returns null)
+ * - threshold: share of claims that must be supported
+ * - generate:  generation call for the llm judge ({ task, instructions, input })
+ *
+ * Returns { mode, verdict, support, threshold, claims, invalidCitations, uncited }
+ * verdict: "ok" | "fail" | "abstained" (the answer is ABSTENTION)
+ */
+export async function verifyAnswer(
+  answer,
+  included,
+  { mode = "lexical", threshold = 0.6, generate, onJudgeError } = {}
+) {
+  if (mode === "off") return null;
+  if (mode !== "lexical" && mode !== "llm") {
+    throw new Error(`Unknown RAG_VERIFY mode "${mode}" (off, lexical, llm)`);
+  }
+
+  if (isAbstention(answer)) {
+    return {
+      mode,
+      verdict: "abstained",
+      support: 1,
+      threshold,
+      claims: [],
+      invalidCitations: [],
+      uncited: 0,
+    };
+  }
+
+  const lookup = citationLookup(included.map((h) => h.item));
+  const cited = new Map(); // label -> context item (or undefined)
+  for (const c of parseCitations(answer)) cited.set(c.label, lookup(c));
+  const invalidCitations = [...cited.keys()].filter((l) => !cited.get(l));
+
+  const claims = splitClaims(answer);
+  const chunksFor = (c) => c.labels.map((l) => cited.get(l)).filter(Boolean);
+  const checkable = claims.filter((c) => chunksFor(c).length > 0);
+
+  let scores = checkable.map((c) => lexicalSupport(c, chunksFor(c)));
+  let usedMode = "lexical";
+  if (mode === "llm" && checkable.length > 0) {
+    try {
+      scores = await judgeSupport(checkable, chunksFor, generate);
+      usedMode = "llm";
+    } catch (err) {
+      onJudgeError?.(err);
+    }
+  }
+
+  const scored = claims.map((c) => {
+    const i = checkable.indexOf(c);
+    const score = i === -1 ? 0 : scores[i];
+    return {
+      text: c.text,
+      citations: c.labels,
+      score: Number(score.toFixed(3)),
+      supported: score >= CLAIM_SUPPORT,
+    };
+  });
+
+  const support =
+    scored.length > 0
+      ? scored.filter((c) => c.supported).length / scored.length
+      : 1;
+
+  return {
+    mode: usedMode,
+    verdict: invalidCitations.length > 0 || support < threshold ? "fail" : "ok",
+    support: Number(support.toFixed(3)),
+    threshold,
+    claims: scored,
+    invalidCitations,
+    uncited: scored.filter((c) => c.citations.length === 0).length,
+  };
+}
+
+// One-line summary for CLI output
+export function describeVerification(v) {
+  const parts = [
+    `${Math.round(v.support * 100)}% of claims supported (${v.mode} check, need ${Math.round(v.threshold * 100)}%)`,
+  ];
+  if (v.invalidCitations.length > 0) {
+    parts.push(
+      `cites chunks not in the context: ${v.invalidCitations.join(", ")}`
+    );
+  }
+  if (v.uncited > 0) parts.push(`${v.uncited} uncited claims`);
+  return parts.join("; ");
+}
@@ -0,0 +1,181 @@
+/**
+ * acl.test.js
+ * -----------
+ * A chunk the caller can't read never reaches candidates, hits or the
+ * context block, isn't pulled in by context expansion, and answers aren't
+ * shared across access scopes. Eval asks as the golden question's groups.
+ * Offline: local provider, temp directories.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "rag-acl-"));
+// Read at import time, so set before the modules load
+process.env.RAG_PROVIDER = "local";
+process.env.RAG_CACHE_DIR = path.join(tmp, ".cache");
+
+const { buildIndex } = await import("../src/indexer.js");
+const { createRagPipeline } = await import("../src/rag.js");
+const { LocalVectorStore } = await import("../src/vectorStore.js");
+const { expandHits } = await import("../src/expand.js");
+const { ANONYMOUS } = await import("../src/acl.js");
+
+const dataDir = path.join(tmp, "data");
+const indexPath = path.join(tmp, "index", "store.json");
+const RESTRICTED = "data/hr/salaries.md";
+const SECRET = "payroll band seven";
+
+async function write(file, text) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, text);
+}
+
+let rag;
+
+before(async () => {
+  await write(
+    path.join(dataDir, "deploy.md"),
+    "# Deploying payroll\n\nRun make deploy to ship the payroll service. Salaries are paid monthly.\n"
+  );
+  await write(
+    path.join(dataDir, "hr", "salaries.md"),
+    `# Payroll salaries\n\nEngineers are paid on ${SECRET}. Salaries for the payroll service team.\n`
+  );
+  await write(
+    path.join(dataDir, "hr", ".acl.json"),
+    JSON.stringify({ groups: ["hr"] })
+  );
+
+  await buildIndex({ indexPath, dataDir, log: () => {} });
+  rag = createRagPipeline({
+    indexPath,
+    cacheDir: path.join(tmp, ".cache"),
+    embed: { provider: "local" },
+    gen: { provider: "local" },
+    stream: false,
+  });
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// Index ids are relative to the process cwd, so match on the path suffix
+const isRestricted = (hit) => hit.source.endsWith(RESTRICTED);
+
+test("members of the group see the restricted chunk", async () => {
+  const r = await rag.retrieve("payroll salaries", {
+    principal: { groups: ["hr"] },
+  });
+  assert.ok(r.hits.some(isRestricted));
+  assert.ok(r.context.includes(SECRET));
+});
+
+for (const [who, principal] of [
+  ["no principal", undefined],
+  ["a non-member group", { groups: ["finance"] }],
+]) {
+  test(`retrieve() with ${who} never returns the restricted chunk`, async () => {
+    const r = await rag.retrieve("payroll salaries", { principal });
+    assert.ok(r.hits.length > 0);
+    assert.ok(!r.candidates.some(isRestricted));
+    assert.ok(!r.hits.some(isRestricted));
+    assert.ok(!r.context.includes(SECRET));
+  });
+
+  test(`ask() with ${who} never sees the restricted chunk`, async () => {
+    const r = await rag.ask("What are the payroll salaries?", {
+      principal,
+      params: { expand: "neighbors" },
+    });
+    assert.ok(!r.hits.some(isRestricted));
+    assert.ok(!r.hits.some((h) => h.content.includes(SECRET)));
+    assert.ok(!r.citations.some((c) => c.target.includes("hr/salaries")));
+    assert.ok(!r.answer.includes(SECRET));
+  });
+}
+
+test("neighbour expansion doesn't pull in a restricted neighbour", () => {
+  const item = (chunkIndex, content, groups = []) => ({
+    id: `doc.md#${chunkIndex}`,
+    source: "doc.md",
+    chunkIndex,
+    content,
+    meta: { groups },
+    embeddingUnit: [1, 0],
+  });
+  const store = new LocalVectorStore([
+    item(0, "Public introduction."),
+    item(1, `Restricted: ${SECRET}.`, ["hr"]),
+    item(2, "Public conclusion."),
+  ]);
+  const hits = [{ item: store.items[2], score: 1 }];
+  const opts = { mode: "neighbors", window: 2, maxTokens: 1000 };
+
+  // Without the ACL check the window would reach it
+  const open = expandHits(hits, store, opts);
+  assert.ok(open[0].item.content.includes(SECRET));
+
+  const [block] = expandHits(hits, store, {
+    ...opts,
+    accept: store.predicateFor(null, ANONYMOUS),
+  });
+  assert.ok(!block.item.content.includes(SECRET));
+  assert.equal(block.item.id, "doc.md#2");
+});
+
+test("answers are cached per access scope", async () => {
+  const caches = await rag.getCaches();
+  const question = "How is the payroll service deployed?";
+  const entries = () => caches.answer.entries.size;
+  const start = entries();
+
+  await rag.ask(question, { principal: { groups: ["finance"] } });
+  assert.equal(entries(), start + 1);
+
+  // Same visible documents and context, different groups: no shared entry
+  const hits = caches.answer.hits;
+  await rag.ask(question, { principal: { groups: ["eng"] } });
+  assert.equal(entries(), start + 2);
+  assert.equal(caches.answer.hits, hits);
+
+  // Same scope again reuses its own entry
+  await rag.ask(question, { principal: { groups: ["finance"] } });
+  assert.equal(entries(), start + 2);
+  assert.equal(caches.answer.hits, hits + 1);
+});
+
+test("eval retrieves restricted chunks only for questions asked as a member", async () => {
+  const question = "What are the payroll salaries?";
+  const golden = [
+    { id: "member", question, expected: ["hr/salaries.md"], groups: ["hr"] },
+    { id: "anonymous", question, expected: ["hr/salaries.md"] },
+  ];
+  await write(
+    path.join(tmp, "golden.jsonl"),
+    golden.map((q) => JSON.stringify(q)).join("\n")
+  );
+
+  // eval.js is a CLI; run it where index/store.json is the default path
+  const evalJs = fileURLToPath(new URL("../src/eval.js", import.meta.url));
+  await promisify(execFile)(
+    process.execPath,
+    [evalJs, "--golden", "golden.jsonl", "--out", "results.json"],
+    { cwd: tmp, timeout: 60_000 }
+  );
+
+  const results = JSON.parse(
+    await fs.readFile(path.join(tmp, "results.json"), "utf-8")
+  );
+  const recall = Object.fromEntries(
+    results.profiles.default.questions.map((q) => [q.id, q.recall])
+  );
+  assert.deepEqual(recall, { member: 1, anonymous: 0 });
+});
@@ -0,0 +1,62 @@
+/**
+ * cache.test.js
+ * -------------
+ * The append-only index-embeddings log: a read-only open (cache stats)
+ * leaves the files exactly as they are; a writable one repairs them.
+ */
+
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { Cache } from "../src/cache.js";
+
+const NS = "index-embeddings";
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-cache-"));
+const logFile = path.join(dir, `${NS}.jsonl`);
+
+const line = (k, v) => JSON.stringify({ k, v, c: 1, t: 1 });
+
+beforeEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.mkdir(dir, { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("a read-only open neither repairs nor rewrites the log", async () => {
+  // Superseded line + a line cut short by a crash: a writable open compacts
+  const text = `${line("a", 1)}\n${line("a", 2)}\n{"k":"b","v`;
+  await fs.writeFile(logFile, text);
+
+  const cache = await Cache.open(NS, { dir, readOnly: true });
+  assert.equal(cache.get("a"), 2);
+  assert.equal(cache.stats().entries, 1);
+  await assert.rejects(cache.save(), /read-only/);
+  assert.equal(await fs.readFile(logFile, "utf-8"), text);
+
+  await Cache.open(NS, { dir });
+  assert.equal(await fs.readFile(logFile, "utf-8"), `${line("a", 2)}\n`);
+});
+
+test("a read-only open leaves an old single-JSON checkpoint in place", async () => {
+  const legacy = path.join(dir, `${NS}.json`);
+  await fs.writeFile(
+    legacy,
+    JSON.stringify({
+      format: "rag-cache",
+      version: 1,
+      namespace: NS,
+      entries: { a: { v: 1, c: 1, t: 1 } },
+    })
+  );
+
+  const cache = await Cache.open(NS, { dir, readOnly: true });
+  assert.equal(cache.get("a"), 1);
+  await fs.access(legacy);
+  await assert.rejects(fs.access(logFile));
+});
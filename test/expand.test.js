@@ -0,0 +1,57 @@
+/**
+ * expand.test.js
+ * --------------
+ * Context expansion over a store merged from several collections: two
+ * collections with the same relative path must not lend each other
+ * neighbours, and an expanded block keeps its collection.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { LocalVectorStore } from "../src/vectorStore.js";
+import { expandHits } from "../src/expand.js";
+
+function collection(name) {
+  const items = [0, 1, 2].map((chunkIndex) => ({
+    id: `README.md#${chunkIndex}`,
+    source: "README.md",
+    chunkIndex,
+    content: `${name} readme, part ${chunkIndex}.`,
+    meta: {},
+    embeddingUnit: [1, 0],
+  }));
+  return { name, store: new LocalVectorStore(items) };
+}
+
+test("neighbours come from the hit's own collection", () => {
+  const store = LocalVectorStore.merge([collection("hr"), collection("eng")]);
+  const hit = (id) => ({
+    item: store.items.find((it) => it.id === id),
+    score: 1,
+  });
+
+  const blocks = expandHits(
+    [hit("hr:README.md#1"), hit("eng:README.md#1")],
+    store,
+    {
+      mode: "neighbors",
+      window: 1,
+      maxTokens: 1000,
+    }
+  );
+
+  assert.equal(blocks.length, 2);
+  for (const [block, name] of [
+    [blocks[0], "hr"],
+    [blocks[1], "eng"],
+  ]) {
+    assert.equal(block.item.id, `${name}:README.md#0-2`);
+    assert.equal(block.item.collection, name);
+    assert.equal(
+      block.item.content,
+      [0, 1, 2].map((i) => `${name} readme, part ${i}.`).join("\n")
+    );
+    assert.deepEqual(block.members, [`${name}:README.md#1`]);
+  }
+});
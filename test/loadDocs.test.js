@@ -0,0 +1,55 @@
+/**
+ * loadDocs.test.js
+ * ----------------
+ * File discovery and per-file chunking config: extensions match in any
+ * case, so REPORT.PDF and Notes.MD are indexed like report.pdf and notes.md.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { listDocFiles, chunkConfigFor } from "../src/loadDocs.js";
+import { getLoader } from "../src/loaders.js";
+
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "rag-docs-"));
+const chunk = { maxTokens: 300, overlapTokens: 50 };
+
+before(async () => {
+  await fs.mkdir(path.join(dataDir, "wiki"));
+  for (const file of ["Notes.MD", "wiki/REPORT.PDF", "readme.txt", "x.bin"]) {
+    await fs.writeFile(path.join(dataDir, file), "");
+  }
+});
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test("files are listed whatever the case of their extension", async () => {
+  const files = await listDocFiles({ dataDir });
+  assert.deepEqual(
+    files.map((f) => path.relative(dataDir, f).split(path.sep).join("/")),
+    ["Notes.MD", "readme.txt", "wiki/REPORT.PDF"]
+  );
+
+  const included = await listDocFiles({ dataDir, include: ["wiki/**"] });
+  assert.deepEqual(included, [path.join(dataDir, "wiki/REPORT.PDF")]);
+});
+
+test("an upper-case extension gets its loader's chunker and overrides", () => {
+  assert.equal(
+    chunkConfigFor("Notes.MD", { chunk }).strategy,
+    getLoader("md").chunker
+  );
+  assert.equal(
+    chunkConfigFor("Notes.MD", { chunk, chunkers: { md: "chars" } }).strategy,
+    "chars"
+  );
+  assert.equal(
+    chunkConfigFor("notes.md", { chunk, chunkers: { MD: "chars" } }).strategy,
+    "chars"
+  );
+});
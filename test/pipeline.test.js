@@ -0,0 +1,79 @@
+/**
+ * pipeline.test.js
+ * ----------------
+ * The offline pipeline end to end: index a small corpus with the local
+ * provider, then retrieve and ask. No API key, no network.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "rag-pipeline-"));
+// Read at import time, so set before the modules load
+process.env.RAG_PROVIDER = "local";
+process.env.RAG_CACHE_DIR = path.join(tmp, ".cache");
+
+const { buildIndex } = await import("../src/indexer.js");
+const { createRagPipeline } = await import("../src/rag.js");
+
+const DOCS = {
+  "runbooks/billing.md":
+    "# Billing\n\nRefunds are processed within five business days. Error ERR_BILL_42 means the card was declined.\n",
+  "runbooks/deploy.md":
+    "# Deploying\n\nRun make deploy to ship a service. Deploys are frozen on Fridays.\n",
+  "wiki/travel.txt":
+    "Travel requests are approved by your team lead. Book flights through the travel portal.\n",
+};
+
+const dataDir = path.join(tmp, "data");
+let rag;
+let summary;
+
+before(async () => {
+  for (const [file, text] of Object.entries(DOCS)) {
+    const full = path.join(dataDir, file);
+    await fs.mkdir(path.dirname(full), { recursive: true });
+    await fs.writeFile(full, text);
+  }
+  const indexPath = path.join(tmp, "index", "store.json");
+  ({ summary } = await buildIndex({ indexPath, dataDir, log: () => {} }));
+  rag = createRagPipeline({
+    indexPath,
+    cacheDir: path.join(tmp, ".cache"),
+    embed: { provider: "local" },
+    gen: { provider: "local" },
+    stream: false,
+  });
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// Index sources are relative to the process cwd, so match on meta.path
+const pathOf = (hit) => hit.meta.path;
+
+test("every document is indexed", () => {
+  assert.equal(summary.added.length, Object.keys(DOCS).length);
+  assert.deepEqual(summary.failed, []);
+});
+
+test("retrieve() ranks the document that answers the question first", async () => {
+  const r = await rag.retrieve("How long are refunds processed?");
+  assert.equal(pathOf(r.hits[0]), "runbooks/billing.md");
+  assert.ok(r.context.includes("five business days"));
+});
+
+test("ask() answers from the context and cites its source", async () => {
+  const r = await rag.ask("Who approves travel requests?");
+
+  assert.match(r.answer, /approved by your team lead/);
+  assert.match(r.answer, /\[source: [^\]]*wiki\/travel\.txt#0\]/);
+  assert.equal(r.citations.length, 1);
+  assert.ok(r.citations[0].id.endsWith("wiki/travel.txt#0"));
+  assert.equal(r.verification.verdict, "ok");
+  assert.equal(r.refused, false);
+});
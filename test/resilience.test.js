@@ -0,0 +1,243 @@
+/**
+ * resilience.test.js
+ * ------------------
+ * Retries, quota handling, client-side limits and resumable indexing against
+ * a fake OpenAI-compatible server (http.createServer on a random port) that
+ * answers 429 / 503 / success as each test scripts it.
+ */
+
+import { test, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+/* ----------------------------- Fake server ---------------------------- */
+
+const fake = {
+  replies: [], // scripted { status, headers, body }, used before succeeding
+  okLimit: Infinity, // requests after this many fail with 503
+  delayMs: 0,
+  requests: [], // input arrays, one per embeddings request
+  inFlight: 0,
+  maxInFlight: 0,
+};
+
+function embeddingFor(text) {
+  // Any deterministic non-zero vector will do
+  const v = Array.from({ length: 8 }, (_, i) => (text.length + i) % 5);
+  v[0] += 1;
+  return v;
+}
+
+const server = http.createServer(async (req, res) => {
+  let raw = "";
+  for await (const part of req) raw += part;
+  const { input = [] } = JSON.parse(raw || "{}");
+  const down = fake.requests.length >= fake.okLimit;
+  fake.requests.push(input);
+  fake.inFlight++;
+  fake.maxInFlight = Math.max(fake.maxInFlight, fake.inFlight);
+  await new Promise((r) => setTimeout(r, fake.delayMs));
+  fake.inFlight--;
+
+  const reply = down
+    ? {
+        status: 503,
+        headers: { "retry-after-ms": "10" },
+        body: { error: { message: "Service temporarily unavailable" } },
+      }
+    : fake.replies.shift() || {
+        status: 200,
+        body: {
+          object: "list",
+          model: "fake-embed",
+          data: input.map((text, index) => ({
+            object: "embedding",
+            index,
+            embedding: embeddingFor(text),
+          })),
+          usage: { prompt_tokens: 0, total_tokens: 0 },
+        },
+      };
+  res.writeHead(reply.status, {
+    "content-type": "application/json",
+    ...reply.headers,
+  });
+  res.end(JSON.stringify(reply.body));
+});
+await new Promise((r) => server.listen(0, "127.0.0.1", r));
+const baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "rag-resilience-"));
+// Read at import time, so set before the modules load
+Object.assign(process.env, {
+  RAG_PROVIDER: "openai-compatible",
+  RAG_BASE_URL: baseURL,
+  RAG_CACHE_DIR: path.join(tmp, ".cache"),
+  RAG_MAX_RETRIES: "1",
+  RAG_MAX_CONCURRENCY: "1",
+  RAG_INDEX_CHECKPOINT_EVERY: "1",
+});
+
+const { withRetry, createLimiter } = await import("../src/resilience.js");
+const { createEmbeddingProvider } = await import("../src/providers.js");
+const { buildIndex } = await import("../src/indexer.js");
+
+const provider = createEmbeddingProvider({
+  provider: "openai-compatible",
+  baseURL,
+  model: "fake-embed",
+});
+
+beforeEach(() => {
+  Object.assign(fake, {
+    replies: [],
+    okLimit: Infinity,
+    delayMs: 0,
+    requests: [],
+    maxInFlight: 0,
+  });
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+/* ------------------------------- Tests ------------------------------- */
+
+test("withRetry waits the delay retry-after-ms / Retry-After ask for", async () => {
+  fake.replies.push(
+    {
+      status: 429,
+      headers: { "retry-after-ms": "100" },
+      body: { error: { code: "rate_limit_exceeded", message: "Slow down" } },
+    },
+    {
+      status: 503,
+      headers: { "retry-after": "1" },
+      body: { error: { message: "Overloaded" } },
+    }
+  );
+  const retries = [];
+  const t0 = Date.now();
+
+  const [vector] = await withRetry(() => provider.embed(["hello"]), {
+    maxRetries: 3,
+    limiter: null,
+    onRetry: (label, details) => retries.push(details),
+  });
+
+  assert.deepEqual(vector, embeddingFor("hello"));
+  assert.equal(fake.requests.length, 3);
+  assert.deepEqual(
+    retries.map((r) => [r.status, r.backoffMs, r.retryAfter]),
+    [
+      [429, 100, true],
+      [503, 1000, true],
+    ]
+  );
+  assert.ok(Date.now() - t0 >= 1100);
+});
+
+test("quota errors are not retried", async () => {
+  fake.replies.push({
+    status: 429,
+    headers: { "retry-after-ms": "10" },
+    body: {
+      error: {
+        code: "insufficient_quota",
+        message: "You exceeded your current quota",
+      },
+    },
+  });
+  const retries = [];
+
+  await assert.rejects(
+    withRetry(() => provider.embed(["hello"]), {
+      maxRetries: 3,
+      limiter: null,
+      onRetry: (label, details) => retries.push(details),
+    }),
+    (err) => err.status === 429 && err.code === "insufficient_quota"
+  );
+  assert.equal(fake.requests.length, 1);
+  assert.deepEqual(retries, []);
+});
+
+test("createLimiter caps requests in flight", async () => {
+  fake.delayMs = 30;
+  const limiter = createLimiter({ concurrency: 2 });
+
+  await Promise.all(
+    Array.from({ length: 6 }, (_, i) =>
+      limiter.schedule(() => provider.embed([`text ${i}`]))
+    )
+  );
+
+  assert.equal(fake.requests.length, 6);
+  assert.equal(fake.maxInFlight, 2);
+  assert.deepEqual(limiter.stats(), { active: 0, queued: 0 });
+});
+
+test("createLimiter spaces starts to requestsPerMinute", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+  const limiter = createLimiter({ requestsPerMinute: 2 });
+  const started = [];
+  const runs = [1, 2, 3].map((n) =>
+    limiter.schedule(async () => started.push(n))
+  );
+
+  await Promise.all(runs.slice(0, 2));
+  assert.deepEqual(started, [1, 2]);
+  assert.equal(limiter.stats().queued, 1);
+
+  t.mock.timers.tick(59_999);
+  await Promise.resolve();
+  assert.deepEqual(started, [1, 2]);
+
+  t.mock.timers.tick(1);
+  await runs[2];
+  assert.deepEqual(started, [1, 2, 3]);
+});
+
+test("an index build stopped by exhausted retries resumes from the checkpoint", async () => {
+  // 65 one-chunk files: a full batch of 64, then one more
+  const dataDir = path.join(tmp, "data");
+  await fs.mkdir(dataDir, { recursive: true });
+  for (let i = 0; i < 65; i++) {
+    await fs.writeFile(
+      path.join(dataDir, `note-${i}.md`),
+      `# Note ${i}\n\nThis is note number ${i}.\n`
+    );
+  }
+  const indexPath = path.join(tmp, "index", "store.json");
+
+  // First batch succeeds, then the server goes down for good
+  const lines = [];
+  const log = (msg) => lines.push(msg);
+  fake.okLimit = 1;
+
+  await assert.rejects(buildIndex({ indexPath, dataDir, log }), {
+    status: 503,
+  });
+  // One successful batch, then the failing one and its single retry
+  assert.equal(fake.requests.length, 3);
+  assert.equal(fake.requests[0].length, 64);
+  assert.ok(lines.some((l) => l.includes("Embedding stopped at 64/65")));
+
+  // Server back: only the chunk that was never embedded is sent
+  fake.okLimit = Infinity;
+  fake.requests = [];
+  lines.length = 0;
+  const { store } = await buildIndex({ indexPath, dataDir, log });
+
+  assert.ok(lines.includes("Reused 64 cached chunk embeddings"));
+  assert.deepEqual(
+    fake.requests.map((r) => r.length),
+    [1]
+  );
+  assert.equal(store.items.length, 65);
+});
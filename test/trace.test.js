@@ -0,0 +1,65 @@
+/**
+ * trace.test.js
+ * -------------
+ * The trace log's cache and usage counters: a repeated question is served
+ * from the caches, including the empty HyDE text and rewrites the local
+ * generator returns. Offline: local provider, temp directories.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "rag-trace-"));
+// Read at import time, so set before the modules load
+process.env.RAG_PROVIDER = "local";
+process.env.RAG_CACHE_DIR = path.join(tmp, ".cache");
+
+const { buildIndex } = await import("../src/indexer.js");
+const { createRagPipeline } = await import("../src/rag.js");
+const { readTraces } = await import("../src/trace.js");
+
+const traceFile = path.join(tmp, "traces.jsonl");
+let rag;
+
+before(async () => {
+  const dataDir = path.join(tmp, "data");
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(
+    path.join(dataDir, "deploy.md"),
+    "# Deploying\n\nRun make deploy to ship the billing service to production.\n"
+  );
+  const indexPath = path.join(tmp, "index", "store.json");
+  await buildIndex({ indexPath, dataDir, log: () => {} });
+  rag = createRagPipeline({
+    indexPath,
+    cacheDir: path.join(tmp, ".cache"),
+    embed: { provider: "local" },
+    gen: { provider: "local" },
+    stream: false,
+    trace: { enabled: true, path: traceFile },
+  });
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test("a repeated question is a cache hit at every stage", async () => {
+  const question = "How is the billing service deployed?";
+  const first = await rag.ask(question);
+  assert.ok(first.usage.generationCalls > 0);
+
+  const second = await rag.ask(question);
+  assert.equal(second.usage.generationCalls, 0);
+
+  const traces = [];
+  for await (const t of readTraces({ file: traceFile })) traces.push(t);
+  const cache = traces.at(-1).cache;
+  assert.equal(traces.at(-1).id, second.traceId);
+  for (const stage of ["multiQuery", "hyde", "answer"]) {
+    assert.deepEqual(cache[stage], { hits: 1, misses: 0 }, stage);
+  }
+});
@@ -0,0 +1,93 @@
+/**
+ * verify.test.js
+ * --------------
+ * Answer verification: supported and unsupported claims, and the "not in
+ * the context" reply, which must never be flagged or withheld. Offline:
+ * local provider, temp directories.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), "rag-verify-"));
+// Read at import time, so set before the modules load
+process.env.RAG_PROVIDER = "local";
+process.env.RAG_CACHE_DIR = path.join(tmp, ".cache");
+
+const { buildIndex } = await import("../src/indexer.js");
+const { createRagPipeline } = await import("../src/rag.js");
+const { verifyAnswer } = await import("../src/verify.js");
+const { ABSTENTION } = await import("../src/prompts.js");
+
+const item = {
+  id: "deploy.md#0",
+  source: "deploy.md",
+  chunkIndex: 0,
+  content: "Run make deploy to ship the billing service to production.",
+};
+const included = [{ item, score: 1 }];
+
+let rag;
+
+before(async () => {
+  const dataDir = path.join(tmp, "data");
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(
+    path.join(dataDir, "deploy.md"),
+    "# Deploying\n\nRun make deploy to ship the billing service to production.\n"
+  );
+  const indexPath = path.join(tmp, "index", "store.json");
+  await buildIndex({ indexPath, dataDir, log: () => {} });
+  rag = createRagPipeline({
+    indexPath,
+    cacheDir: path.join(tmp, ".cache"),
+    embed: { provider: "local" },
+    gen: { provider: "local" },
+    stream: false,
+    verify: { mode: "lexical", onFail: "refuse" },
+  });
+});
+
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+test("a cited, supported claim passes", async () => {
+  const v = await verifyAnswer(
+    "Run make deploy to ship the billing service. [source: deploy.md#0]",
+    included
+  );
+  assert.equal(v.verdict, "ok");
+  assert.equal(v.support, 1);
+});
+
+test("an uncited claim fails", async () => {
+  const v = await verifyAnswer(
+    "Refunds are processed within fourteen business days.",
+    included
+  );
+  assert.equal(v.verdict, "fail");
+  assert.equal(v.uncited, 1);
+});
+
+test("the abstention is not scored as a claim", async () => {
+  for (const answer of [
+    ABSTENTION,
+    "I don’t know from the provided documents",
+    `"${ABSTENTION}"`,
+  ]) {
+    const v = await verifyAnswer(answer, included);
+    assert.equal(v.verdict, "abstained");
+    assert.deepEqual(v.claims, []);
+  }
+});
+
+test("an off-corpus question is answered with the abstention, not refused", async () => {
+  const r = await rag.ask("zebra quantum flux");
+  assert.equal(r.answer, ABSTENTION);
+  assert.equal(r.verification.verdict, "abstained");
+  assert.equal(r.refused, false);
+});